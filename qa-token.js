@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * QA override token generator
+ *
+ * Creates a signed token that forces treatments at the edge for the traffic
+ * keys and feature flags allow-listed in the Config Store (QA_OVERRIDE_KEYS,
+ * QA_OVERRIDE_FLAGS). See src/qaOverrides.js.
+ *
+ * Usage:
+ *   QA_OVERRIDE_SECRET=xxx npm run qa-token -- <flag>=<treatment> [...] [--ttl=<seconds>]
+ *
+ * The secret must match the QA_OVERRIDE_SECRET entry of the Secret Store.
+ * Tokens expire after --ttl seconds (default 3600).
+ */
+
+import { parseArgs } from 'node:util';
+import dotenv from 'dotenv';
+import {
+  createQaOverrideToken, QA_OVERRIDE_COOKIE, QA_OVERRIDE_HEADER, QA_OVERRIDE_PARAM
+} from './src/qaOverrides.js';
+
+const DEFAULT_TTL_SECONDS = 3600;
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    ttl: { type: 'string' }
+  }
+});
+
+// Load environment variables from .env file
+dotenv.config();
+
+const secret = process.env.QA_OVERRIDE_SECRET;
+const ttlSeconds = options.ttl ? parseInt(options.ttl, 10) : DEFAULT_TTL_SECONDS;
+const treatments = Object.fromEntries(positionals.map((arg) => {
+  const separator = arg.indexOf('=');
+  return separator > 0 ? [arg.slice(0, separator), arg.slice(separator + 1)] : [arg, ''];
+}));
+
+if (!secret) {
+  console.error('❌ Missing required environment variable QA_OVERRIDE_SECRET');
+  process.exit(1);
+}
+if (positionals.length === 0 || Object.entries(treatments).some(([name, treatment]) => !name || !treatment)) {
+  console.error('❌ Usage: npm run qa-token -- <flag>=<treatment> [...] [--ttl=<seconds>]');
+  process.exit(1);
+}
+if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0) {
+  console.error(`❌ Invalid --ttl "${options.ttl}", expected a positive number of seconds`);
+  process.exit(1);
+}
+
+const token = await createQaOverrideToken(treatments, ttlSeconds, secret);
+
+console.log(`🧪 QA override token, valid for ${ttlSeconds}s:`);
+for (const [name, treatment] of Object.entries(treatments)) {
+  console.log(`   ${name} -> ${treatment}`);
+}
+console.log('');
+console.log(token);
+console.log('');
+console.log(`Pass it as ?${QA_OVERRIDE_PARAM}=<token>, the ${QA_OVERRIDE_HEADER} header or the ${QA_OVERRIDE_COOKIE} cookie.`);
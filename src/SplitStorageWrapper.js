@@ -1,17 +1,148 @@
 /**
  * Storage wrapper for Fastly KV Store to use with Split.io SDK
  * Adapts Fastly KV Store API to Split SDK storage interface
+ *
+ * Options:
+ * - keyPrefix: prefix added to every key, used to read a snapshot of the dataset
+ *   after a rollback (see dataKeyPrefix in syncKeys.js). Listed keys are returned
+ *   without it, so the SDK sees the usual SPLITIO.* layout.
+ * - cache: optional in-memory read-through cache, { ttlMs, maxEntries, versionCheckIntervalMs }.
+ *   Entries expire after ttlMs, the oldest entries are evicted beyond maxEntries, and the
+ *   whole cache is cleared when the synced change number (SPLITIO.splits.till) moves.
+ *
+ * pushItems, popItems and getItemsCount implement the impression and event queues
+ * (see kvQueue.js). Queues are not part of the synced dataset, so keyPrefix does
+ * not apply to them.
  */
-export function SplitStorageWrapper(kvStore) {
+
+import { listKeys } from "./kvList.js";
+import { countQueuedItems, popQueuedItems, queueChunkKey, queueChunkPrefix } from "./kvQueue.js";
+
+// Key written by the Synchronizer with the change number of the flag data
+export const CHANGE_NUMBER_KEY = 'SPLITIO.splits.till';
+
+/**
+ * Read the synced change number directly from KV Store, or -1 if there is none
+ * The Synchronizer stores it as a JSON-encoded string, e.g. "1700000000000"
+ */
+export async function readChangeNumber(kvStore, keyPrefix = '') {
+  try {
+    const entry = await kvStore.get(`${keyPrefix}${CHANGE_NUMBER_KEY}`);
+    if (!entry) return -1;
+    const text = await entry.text();
+    const changeNumber = parseInt(text ? JSON.parse(text) : '', 10);
+    return Number.isNaN(changeNumber) ? -1 : changeNumber;
+  } catch (error) {
+    console.error('Error reading change number:', error);
+    return -1;
+  }
+}
+
+/**
+ * In-memory read-through cache with TTL, size cap and change number invalidation
+ */
+function createReadCache(kvStore, keyPrefix, { ttlMs = 5000, maxEntries = 1000, versionCheckIntervalMs = 1000 } = {}) {
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+  let changeNumber;
+  let checkedAt = 0;
+  let pendingCheck = null;
+
   /**
-   * Helper to get a value from KV Store
+   * Clear the cache if the change number moved since the last check
+   * Concurrent callers share the in-flight check
    */
-  async function getValue(key) {
-    try {
+  function checkVersion() {
+    if (pendingCheck) return pendingCheck;
+    if (Date.now() - checkedAt < versionCheckIntervalMs) return Promise.resolve();
+
+    pendingCheck = readChangeNumber(kvStore, keyPrefix).then((current) => {
+      checkedAt = Date.now();
+      if (changeNumber !== undefined && current !== changeNumber) {
+        entries.clear();
+        stats.invalidations++;
+      }
+      changeNumber = current;
+    }).finally(() => {
+      pendingCheck = null;
+    });
+    return pendingCheck;
+  }
+
+  function store(key, value) {
+    entries.delete(key);
+    if (entries.size >= maxEntries) {
+      // Map iteration order is insertion order, so the first key is the oldest
+      entries.delete(entries.keys().next().value);
+      stats.evictions++;
+    }
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  return {
+    async get(key, load) {
+      await checkVersion();
+
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        stats.hits++;
+        return entry.value;
+      }
+
+      stats.misses++;
+      const value = await load(key);
+      store(key, value);
+      return value;
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    stats() {
+      return { ...stats, size: entries.size, changeNumber: changeNumber ?? null, ttlMs, maxEntries };
+    }
+  };
+}
+
+export function SplitStorageWrapper(kvStore, options = {}) {
+  const keyPrefix = options.keyPrefix || '';
+  const cache = options.cache ? createReadCache(kvStore, keyPrefix, options.cache) : null;
+
+  // Queue chunks are read and written without keyPrefix or cache
+  const queueStore = {
+    async list(prefix) {
+      return (await listKeys(kvStore, { prefix })).keys;
+    },
+    async read(key) {
       const entry = await kvStore.get(key);
-      if (!entry) return null;
-      const text = await entry.text();
+      const text = entry ? await entry.text() : '';
       return text ? JSON.parse(text) : null;
+    },
+    async write(key, items) {
+      await kvStore.put(key, JSON.stringify(items));
+    },
+    async remove(key) {
+      await kvStore.delete(key);
+    }
+  };
+
+  /**
+   * Helper to read and parse a value from KV Store
+   */
+  async function fetchValue(key) {
+    const entry = await kvStore.get(`${keyPrefix}${key}`);
+    if (!entry) return null;
+    const text = await entry.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * Helper to get a value from KV Store, through the cache when enabled
+   */
+  async function getValue(key) {
+    try {
+      return cache ? await cache.get(key, fetchValue) : await fetchValue(key);
     } catch (error) {
       console.error(`Error getting key ${key}:`, error);
       return null;
@@ -22,8 +153,9 @@ export function SplitStorageWrapper(kvStore) {
    * Helper to set a value in KV Store
    */
   async function setValue(key, value) {
+    cache?.delete(key);
     try {
-      await kvStore.put(key, JSON.stringify(value));
+      await kvStore.put(`${keyPrefix}${key}`, JSON.stringify(value));
       return true;
     } catch (error) {
       console.error(`Error setting key ${key}:`, error);
@@ -51,8 +183,9 @@ export function SplitStorageWrapper(kvStore) {
 
     /** Delete a key */
     async del(key) {
+      cache?.delete(key);
       try {
-        await kvStore.delete(key);
+        await kvStore.delete(`${keyPrefix}${key}`);
         return true;
       } catch (error) {
         console.error(`Error deleting key ${key}:`, error);
@@ -63,20 +196,11 @@ export function SplitStorageWrapper(kvStore) {
     /** Get all keys with a given prefix */
     async getKeysByPrefix(prefix) {
       try {
-        // Note: Fastly KV Store list() returns { list: string[], cursor: string | undefined }
-        // We need to paginate through all results
-        const allKeys = [];
-        let cursor;
-
-        do {
-          const result = await kvStore.list({ prefix, cursor });
-          if (result.list && result.list.length > 0) {
-            allKeys.push(...result.list);
-          }
-          cursor = result.cursor;
-        } while (cursor);
-
-        return allKeys;
+        const { keys, truncated } = await listKeys(kvStore, { prefix: `${keyPrefix}${prefix}` });
+        if (truncated) {
+          console.error(`Key listing for prefix ${prefix} truncated at ${keys.length} keys`);
+        }
+        return keys.map(key => key.slice(keyPrefix.length));
       } catch (error) {
         console.error(`Error getting keys by prefix ${prefix}:`, error);
         return [];
@@ -176,17 +300,25 @@ export function SplitStorageWrapper(kvStore) {
     /** Disconnect from storage (no-op for KV Store) */
     async disconnect() {},
 
-    /** Push items to a queue (no-op - not needed in consumer mode) */
-    async pushItems(key, items) {},
+    /** Push items to a queue, as one new chunk */
+    async pushItems(key, items) {
+      if (items.length === 0) return;
+      await queueStore.write(queueChunkKey(key, items.length), items);
+    },
 
-    /** Pop items from a queue (no-op - not needed in consumer mode) */
+    /** Pop up to `count` items from a queue, oldest first */
     async popItems(key, count) {
-      return [];
+      return popQueuedItems(queueStore, key, count);
     },
 
-    /** Get queue item count (no-op - not needed in consumer mode) */
+    /** Get the number of items in a queue */
     async getItemsCount(key) {
-      return 0;
+      return countQueuedItems(await queueStore.list(queueChunkPrefix(key)));
+    },
+
+    /** Read cache counters, or null if the cache is disabled (not part of the SDK interface) */
+    getCacheStats() {
+      return cache ? cache.stats() : null;
     }
   };
 }
@@ -0,0 +1,350 @@
+/**
+ * JSON evaluation API
+ *
+ * Endpoints:
+ * - GET /api/v1/treatment?key=<key>&feature-flag=<name>
+ * - GET /api/v1/treatments?key=<key>&feature-flags=<name1>,<name2>
+ * - POST /api/v1/treatments with a JSON body for batch evaluation:
+ *   { "keys": ["user-1", "user-2"], "featureFlags": ["flag-a"], "flagSets": ["checkout"] }
+ *
+ * Targeting attributes can be passed as a JSON object in the `attributes`
+ * query parameter (GET) or body field (POST), and are merged with any
+ * request-derived attributes enabled in the Config Store.
+ *
+ * Successful responses are JSON documents. Errors always use the shape
+ * { "error": { "code": "<machine_code>", "message": "<description>" } }
+ *
+ * Treatments forced by a kill switch (see killSwitches.js) or a QA override
+ * token (see qaOverrides.js) are marked with `"forced": "kill_switch"` or
+ * `"forced": "qa_override"`.
+ */
+
+import { withSplitClient, createTiming, timeEvaluation, timingHeaders } from "./splitClient.js";
+import { isSdkKeyConfigured } from "./config.js";
+import { buildAttributes, InvalidAttributesError } from "./attributes.js";
+import { qaTreatmentsForKey, resolveQaOverrides } from "./qaOverrides.js";
+import { activeKillSwitches } from "./killSwitches.js";
+
+// Upper bound on traffic keys evaluated by a single batch request
+const MAX_BATCH_KEYS = 100;
+
+/**
+ * Error carrying the HTTP status and machine-readable code for an API response
+ */
+export class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Build a JSON response
+ */
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "no-store",
+      ...headers
+    }
+  });
+}
+
+/**
+ * Build a structured JSON error response
+ */
+export function errorResponse(status, code, message) {
+  return jsonResponse({ error: { code, message } }, status);
+}
+
+/**
+ * Convert any error thrown by a handler into a structured JSON error response
+ */
+function toErrorResponse(error) {
+  if (error instanceof ApiError) {
+    return errorResponse(error.status, error.code, error.message);
+  }
+  if (error instanceof InvalidAttributesError) {
+    return errorResponse(400, 'invalid_attributes', error.message);
+  }
+  console.error("Error handling API request:", error);
+  return errorResponse(500, 'evaluation_failed', `Error evaluating feature flag: ${error.message}`);
+}
+
+/**
+ * Parse a dynamic config string returned by the SDK
+ * Configs are JSON in Harness FME, but fall back to the raw string if not
+ */
+function parseTreatmentConfig(config) {
+  if (config === null || config === undefined) return null;
+  try {
+    return JSON.parse(config);
+  } catch (error) {
+    return config;
+  }
+}
+
+/**
+ * Read a list parameter given either as a comma-separated value or repeated
+ */
+export function getListParam(url, name) {
+  return url.searchParams.getAll(name)
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Convert SDK results ({ name: { treatment, config } }) into API treatments
+ */
+function formatTreatments(results) {
+  const treatments = {};
+  for (const [name, result] of Object.entries(results)) {
+    treatments[name] = {
+      treatment: result.treatment,
+      config: parseTreatmentConfig(result.config),
+      ...(result.forced ? { forced: result.forced } : {})
+    };
+  }
+  return treatments;
+}
+
+/**
+ * Validate that a JSON body field is a list of non-empty strings
+ */
+function getStringList(body, field) {
+  const value = body[field];
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item.trim())) {
+    throw new ApiError(400, 'invalid_body', `Field '${field}' must be an array of non-empty strings`);
+  }
+  return value.map(item => item.trim());
+}
+
+/**
+ * Read and validate the JSON body of a batch evaluation request
+ */
+async function parseBatchBody(req) {
+  let body;
+  try {
+    body = await req.json();
+  } catch (error) {
+    throw new ApiError(400, 'invalid_json', 'Request body must be valid JSON');
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'invalid_body', 'Request body must be a JSON object');
+  }
+
+  const keys = typeof body.key === 'string' && body.key ? [body.key] : getStringList(body, 'keys');
+  const featureFlags = getStringList(body, 'featureFlags');
+  const flagSets = getStringList(body, 'flagSets');
+
+  if (keys.length === 0) {
+    throw new ApiError(400, 'missing_key', "Field 'key' or 'keys' is required");
+  }
+  if (keys.length > MAX_BATCH_KEYS) {
+    throw new ApiError(400, 'too_many_keys', `At most ${MAX_BATCH_KEYS} keys can be evaluated per request`);
+  }
+  if (featureFlags.length === 0 && flagSets.length === 0) {
+    throw new ApiError(400, 'missing_feature_flags', "Field 'featureFlags' or 'flagSets' is required");
+  }
+
+  return { keys: [...new Set(keys)], featureFlags, flagSets, attributes: body.attributes };
+}
+
+function assertSdkKeyConfigured(config) {
+  if (!isSdkKeyConfigured(config)) {
+    throw new ApiError(503, 'sdk_key_not_configured', 'Harness FME SDK key not configured');
+  }
+}
+
+/**
+ * Treatments forced for a key ({ flag: { treatment, forced } })
+ * Kill switches win over QA overrides.
+ */
+function forcedTreatments(config, overrides, key) {
+  const forced = {};
+  for (const [name, treatment] of Object.entries(qaTreatmentsForKey(overrides, key))) {
+    forced[name] = { treatment, forced: 'qa_override' };
+  }
+  for (const [name, treatment] of Object.entries(activeKillSwitches(config))) {
+    forced[name] = { treatment, forced: 'kill_switch' };
+  }
+  return forced;
+}
+
+/**
+ * Evaluate feature flags and flag sets for one key, applying forced treatments
+ * Returns SDK results ({ name: { treatment, config, forced? } }). Forced flags
+ * are left out of the SDK evaluation, so no impression is recorded for a
+ * treatment the caller did not get, and get the dynamic config of the forced
+ * treatment. Flag sets are resolved to flag names when a flag is forced.
+ */
+async function evaluateForKey(kvStore, config, key, { featureFlags = [], flagSets = [], attributes = {}, timing, overrides = null }) {
+  return withSplitClient(kvStore, config, key, timing, async (client, manager) => {
+    const forced = forcedTreatments(config, overrides, key);
+    if (Object.keys(forced).length === 0) {
+      const [byName, bySets] = await timeEvaluation(timing, () => Promise.all([
+        featureFlags.length > 0 ? client.getTreatmentsWithConfig(featureFlags, attributes) : {},
+        flagSets.length > 0 ? client.getTreatmentsWithConfigByFlagSets(flagSets, attributes) : {}
+      ]));
+      return { ...bySets, ...byName };
+    }
+
+    let names = featureFlags;
+    if (flagSets.length > 0) {
+      const sets = flagSets.map(set => set.toLowerCase());
+      const inSets = (await manager.splits())
+        .filter(view => (view.sets || []).some(set => sets.includes(set)))
+        .map(view => view.name);
+      names = [...new Set([...featureFlags, ...inSets])];
+    }
+
+    const evaluated = names.filter(name => !(name in forced));
+    const results = evaluated.length > 0
+      ? await timeEvaluation(timing, () => client.getTreatmentsWithConfig(evaluated, attributes))
+      : {};
+    for (const name of names.filter(name => name in forced)) {
+      const view = await manager.split(name);
+      const { treatment, forced: reason } = forced[name];
+      results[name] = { treatment, config: view?.configs?.[treatment] ?? null, forced: reason };
+    }
+    return results;
+  });
+}
+
+/**
+ * Evaluate a single feature flag for a key
+ * Options: attributes (targeting attributes), timing (collects SDK timing),
+ * overrides (QA overrides of the request, see resolveQaOverrides())
+ */
+export async function evaluateTreatment(kvStore, config, key, featureFlagName, { attributes = {}, timing = createTiming(), overrides = null } = {}) {
+  assertSdkKeyConfigured(config);
+
+  const results = formatTreatments(await evaluateForKey(kvStore, config, key, { featureFlags: [featureFlagName], attributes, timing, overrides }));
+  // The SDK reports a flag under its trimmed name, and no result for an invalid name
+  const { treatment, config: treatmentConfig, forced } =
+    results[featureFlagName] ?? Object.values(results)[0] ?? { treatment: 'control', config: null };
+  return {
+    key,
+    featureFlag: featureFlagName,
+    treatment,
+    config: treatmentConfig,
+    ...(forced ? { forced } : {}),
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Evaluate several feature flags for a key
+ */
+export async function evaluateTreatments(kvStore, config, key, featureFlagNames, { attributes = {}, timing = createTiming(), overrides = null } = {}) {
+  assertSdkKeyConfigured(config);
+
+  const results = await evaluateForKey(kvStore, config, key, { featureFlags: featureFlagNames, attributes, timing, overrides });
+  return { key, treatments: formatTreatments(results), timestamp: Date.now() };
+}
+
+/**
+ * Evaluate every feature flag, or those of the given flag sets, for a key
+ */
+export async function evaluateAllTreatments(kvStore, config, key, { flagSets = [], attributes = {}, timing = createTiming(), overrides = null } = {}) {
+  assertSdkKeyConfigured(config);
+
+  let featureFlags = [];
+  if (flagSets.length === 0) {
+    // The client being ready means the manager can read from storage
+    featureFlags = await withSplitClient(kvStore, config, key, timing, (client, manager) => manager.names());
+  }
+  const results = await evaluateForKey(kvStore, config, key, { featureFlags, flagSets, attributes, timing, overrides });
+  return { key, treatments: formatTreatments(results), timestamp: Date.now() };
+}
+
+/**
+ * Evaluate feature flags and flag sets for many keys
+ * All keys share the cached factory, so storage is only connected once
+ */
+export async function evaluateBatch(kvStore, config, keys, { featureFlags = [], flagSets = [], attributes = {}, timing = createTiming(), overrides = null }) {
+  assertSdkKeyConfigured(config);
+
+  const results = await Promise.all(keys.map(async (key) => {
+    const byKey = await evaluateForKey(kvStore, config, key, { featureFlags, flagSets, attributes, timing, overrides });
+    return { key, treatments: formatTreatments(byKey) };
+  }));
+
+  return { results, timestamp: Date.now() };
+}
+
+/**
+ * GET /api/v1/treatment
+ */
+export async function handleApiTreatment(event, url, kvStore, config) {
+  const req = event.request;
+  try {
+    if (req.method !== "GET") {
+      throw new ApiError(405, 'method_not_allowed', `Method ${req.method} not allowed`);
+    }
+
+    const key = url.searchParams.get("key");
+    const featureFlagName = url.searchParams.get("feature-flag");
+    if (!key) {
+      throw new ApiError(400, 'missing_key', "Query parameter 'key' is required");
+    }
+    if (!featureFlagName) {
+      throw new ApiError(400, 'missing_feature_flag', "Query parameter 'feature-flag' is required");
+    }
+
+    const attributes = buildAttributes(event, config, url.searchParams.get("attributes"));
+    const overrides = await resolveQaOverrides(req, url, config);
+    const timing = createTiming();
+    const result = await evaluateTreatment(kvStore, config, key, featureFlagName, { attributes, timing, overrides });
+    return jsonResponse(result, 200, timingHeaders(timing));
+  } catch (error) {
+    return toErrorResponse(error);
+  }
+}
+
+/**
+ * GET /api/v1/treatments and POST /api/v1/treatments (batch)
+ */
+export async function handleApiTreatments(event, url, kvStore, config) {
+  const req = event.request;
+  try {
+    if (req.method === "POST") {
+      const { keys, featureFlags, flagSets, attributes } = await parseBatchBody(req);
+      const timing = createTiming();
+      const result = await evaluateBatch(kvStore, config, keys, {
+        featureFlags,
+        flagSets,
+        attributes: buildAttributes(event, config, attributes),
+        timing,
+        overrides: await resolveQaOverrides(req, url, config)
+      });
+      return jsonResponse(result, 200, timingHeaders(timing));
+    }
+    if (req.method !== "GET") {
+      throw new ApiError(405, 'method_not_allowed', `Method ${req.method} not allowed`);
+    }
+
+    const key = url.searchParams.get("key");
+    const featureFlagNames = getListParam(url, "feature-flags");
+    if (!key) {
+      throw new ApiError(400, 'missing_key', "Query parameter 'key' is required");
+    }
+    if (featureFlagNames.length === 0) {
+      throw new ApiError(400, 'missing_feature_flags', "Query parameter 'feature-flags' is required");
+    }
+
+    const attributes = buildAttributes(event, config, url.searchParams.get("attributes"));
+    const overrides = await resolveQaOverrides(req, url, config);
+    const timing = createTiming();
+    const result = await evaluateTreatments(kvStore, config, key, featureFlagNames, { attributes, timing, overrides });
+    return jsonResponse(result, 200, timingHeaders(timing));
+  } catch (error) {
+    return toErrorResponse(error);
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Targeting attributes for feature flag evaluations
+ *
+ * Attributes come from two places:
+ * - Explicit attributes passed by the caller (query parameter or JSON body)
+ * - Attributes derived from the incoming request, opt-in via the Config Store:
+ *   - REQUEST_ATTRIBUTES: comma-separated list of "geo", "user_agent", "device"
+ *   - REQUEST_ATTRIBUTE_HEADERS: comma-separated list of header names
+ *
+ * Explicit attributes always take precedence over derived ones.
+ */
+
+import { getGeolocationForIpAddress } from "fastly:geolocation";
+import { Device } from "fastly:device";
+
+/**
+ * Error thrown when caller-provided attributes are not valid
+ */
+export class InvalidAttributesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidAttributesError';
+  }
+}
+
+function isValidAttributeValue(value) {
+  if (Array.isArray(value)) {
+    return value.every(item => typeof item === 'string');
+  }
+  return typeof value === 'string' ||
+    typeof value === 'boolean' ||
+    (typeof value === 'number' && Number.isFinite(value));
+}
+
+/**
+ * Validate caller-provided attributes
+ * Accepts an object or a JSON string (as sent in a query parameter)
+ */
+export function parseAttributes(value) {
+  if (value === undefined || value === null || value === '') return {};
+
+  let attributes = value;
+  if (typeof value === 'string') {
+    try {
+      attributes = JSON.parse(value);
+    } catch (error) {
+      throw new InvalidAttributesError('Attributes must be a valid JSON object');
+    }
+  }
+
+  if (typeof attributes !== 'object' || attributes === null || Array.isArray(attributes)) {
+    throw new InvalidAttributesError('Attributes must be a JSON object');
+  }
+
+  for (const [name, attributeValue] of Object.entries(attributes)) {
+    if (!isValidAttributeValue(attributeValue)) {
+      throw new InvalidAttributesError(
+        `Attribute '${name}' must be a string, number, boolean or array of strings`
+      );
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Classify a device as mobile, tablet, desktop, etc. from its User-Agent
+ */
+function getDeviceClass(userAgent) {
+  const device = userAgent ? Device.lookup(userAgent) : null;
+  if (!device) return 'unknown';
+  if (device.isTablet) return 'tablet';
+  if (device.isMobile) return 'mobile';
+  if (device.isSmartTV) return 'smarttv';
+  if (device.isGameConsole) return 'gameconsole';
+  if (device.isMediaPlayer) return 'mediaplayer';
+  if (device.isDesktop) return 'desktop';
+  return 'unknown';
+}
+
+/**
+ * Build the attribute name used for a forwarded request header
+ * e.g. "X-Customer-Tier" becomes "header_x_customer_tier"
+ */
+function headerAttributeName(header) {
+  return `header_${header.toLowerCase().replace(/-/g, '_')}`;
+}
+
+/**
+ * Derive attributes from the incoming request according to the configuration
+ */
+export function getRequestAttributes(event, config) {
+  const attributes = {};
+  const sources = config.REQUEST_ATTRIBUTES;
+  const userAgent = event.request.headers.get('User-Agent') || '';
+
+  if (sources.includes('geo')) {
+    try {
+      const geo = getGeolocationForIpAddress(event.client.address);
+      if (geo) {
+        if (geo.country_code) attributes.country = geo.country_code;
+        if (geo.region) attributes.region = geo.region;
+        if (geo.as_number !== null) attributes.asn = geo.as_number;
+      }
+    } catch (error) {
+      console.error('Error looking up geolocation:', error);
+    }
+  }
+
+  if (sources.includes('user_agent') && userAgent) {
+    attributes.user_agent = userAgent;
+  }
+
+  if (sources.includes('device')) {
+    try {
+      attributes.device_class = getDeviceClass(userAgent);
+    } catch (error) {
+      console.error('Error looking up device:', error);
+    }
+  }
+
+  for (const header of config.REQUEST_ATTRIBUTE_HEADERS) {
+    const value = event.request.headers.get(header);
+    if (value !== null) {
+      attributes[headerAttributeName(header)] = value;
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Merge request-derived attributes with caller-provided ones
+ */
+export function buildAttributes(event, config, explicitAttributes) {
+  return {
+    ...getRequestAttributes(event, config),
+    ...parseAttributes(explicitAttributes)
+  };
+}
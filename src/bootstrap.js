@@ -0,0 +1,137 @@
+/**
+ * Bootstrap payload for browser SDKs and apps
+ *
+ * GET /bootstrap evaluates every feature flag, or those of the flag sets in
+ * `flag-sets`, for the caller's key at the edge, so a page has its treatments
+ * on first paint instead of waiting for a browser SDK to download every flag:
+ * - format=json (default): { "key", "version", "treatments": { "<flag>": { "treatment", "config" } } }
+ * - format=script: the same payload as an inline <script> element assigning
+ *   window.__FME_BOOTSTRAP__, to be embedded in a page
+ *
+ * The key comes from `key`, else the identity cookie (see identity.js), else
+ * DEFAULT_USER_KEY. Responses are private and revalidated on every load: the
+ * ETag combines the synced data version with a hash of everything else the
+ * treatments depend on, and is checked before evaluating, so a 304 costs no
+ * evaluation.
+ */
+
+import { ApiError, errorResponse, evaluateAllTreatments, getListParam } from "./api.js";
+import { buildAttributes, InvalidAttributesError } from "./attributes.js";
+import { isSdkKeyConfigured } from "./config.js";
+import { resolveEvaluationKey } from "./identity.js";
+import { activeKillSwitches } from "./killSwitches.js";
+import { getManifest } from "./manifest.js";
+import { qaTreatmentsForKey, resolveQaOverrides } from "./qaOverrides.js";
+import { toBase64Url } from "./signing.js";
+import { readChangeNumber } from "./SplitStorageWrapper.js";
+import { createTiming, timingHeaders } from "./splitClient.js";
+import { dataKeyPrefix } from "./syncKeys.js";
+
+const FORMATS = ['json', 'script'];
+
+// Global assigned by the script format
+const SCRIPT_GLOBAL = 'window.__FME_BOOTSTRAP__';
+
+/**
+ * Version of the synced data: the manifest version (flags change number and
+ * content hash), or the flags change number without a manifest
+ */
+async function getDataVersion(kvStore, config) {
+  const manifest = await getManifest(kvStore, config);
+  if (manifest && manifest.version) return manifest.version;
+  return String(await readChangeNumber(kvStore, dataKeyPrefix(manifest)));
+}
+
+/**
+ * ETag of a bootstrap response
+ */
+async function computeETag(version, inputs) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(inputs)));
+  return `"${version}-${toBase64Url(digest).slice(0, 16)}"`;
+}
+
+/**
+ * Whether the If-None-Match request header matches the ETag
+ */
+function isNotModified(req, etag) {
+  const header = req.headers.get("If-None-Match");
+  if (!header) return false;
+  return header.trim() === '*' || header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+/**
+ * Inline <script> element assigning the payload
+ * `<` is escaped so that the JSON cannot close the element.
+ */
+function renderScript(payload) {
+  const json = JSON.stringify(payload).replace(/</g, '\\u003c');
+  return `<script>${SCRIPT_GLOBAL}=${json};</script>`;
+}
+
+/**
+ * GET /bootstrap
+ */
+export async function handleBootstrap(event, url, kvStore, config) {
+  const req = event.request;
+  try {
+    if (req.method !== "GET") {
+      throw new ApiError(405, 'method_not_allowed', `Method ${req.method} not allowed`);
+    }
+    const format = url.searchParams.get("format") || 'json';
+    if (!FORMATS.includes(format)) {
+      throw new ApiError(400, 'invalid_format', `Query parameter 'format' must be one of: ${FORMATS.join(', ')}`);
+    }
+    if (!isSdkKeyConfigured(config)) {
+      throw new ApiError(503, 'sdk_key_not_configured', 'Harness FME SDK key not configured');
+    }
+
+    const { key, setCookie } = await resolveEvaluationKey(req, url, config);
+    const flagSets = getListParam(url, "flag-sets");
+    const attributes = buildAttributes(event, config, url.searchParams.get("attributes"));
+    const overrides = await resolveQaOverrides(req, url, config);
+
+    const version = await getDataVersion(kvStore, config);
+    const etag = await computeETag(version, {
+      key,
+      flagSets,
+      attributes,
+      format,
+      killSwitches: activeKillSwitches(config),
+      qaOverrides: qaTreatmentsForKey(overrides, key)
+    });
+    const headers = new Headers({
+      "ETag": etag,
+      "Cache-Control": "private, no-cache",
+      "Vary": "Cookie"
+    });
+    if (setCookie) {
+      headers.set("Set-Cookie", setCookie);
+    }
+    if (isNotModified(req, etag)) {
+      return new Response(null, { status: 304, headers });
+    }
+
+    const timing = createTiming();
+    const { treatments } = await evaluateAllTreatments(kvStore, config, key, { flagSets, attributes, timing, overrides });
+    const payload = { key, version, treatments };
+    for (const [name, value] of Object.entries(timingHeaders(timing))) {
+      headers.set(name, value);
+    }
+
+    if (format === 'script') {
+      headers.set("Content-Type", "text/html; charset=utf-8");
+      return new Response(renderScript(payload), { status: 200, headers });
+    }
+    headers.set("Content-Type", "application/json; charset=utf-8");
+    return new Response(JSON.stringify(payload), { status: 200, headers });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return errorResponse(error.status, error.code, error.message);
+    }
+    if (error instanceof InvalidAttributesError) {
+      return errorResponse(400, 'invalid_attributes', error.message);
+    }
+    console.error("Error building bootstrap payload:", error);
+    return errorResponse(500, 'evaluation_failed', `Error evaluating feature flags: ${error.message}`);
+  }
+}
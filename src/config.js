@@ -6,7 +6,9 @@
  * - Fastly Config Store (for non-sensitive config)
  *
  * In production:
- * - SDK key is stored in Secret Store named 'SPLIT_SDK_KEY'
+ * - SDK key is stored in Secret Store named 'SPLIT_SDK_KEY', next to the optional
+ *   IDENTITY_COOKIE_SECRET that signs visitor identity cookies and
+ *   QA_OVERRIDE_SECRET that signs QA override tokens
  * - Other config is stored in Config Store named 'split-config'
  *
  * For local development, fallback defaults are provided.
@@ -20,9 +22,112 @@ const DEFAULTS = {
   SPLIT_SDK_KEY: '<YOUR-SERVER-SIDE-SDK-KEY>',
   FEATURE_FLAG_NAME: 'my-feature-flag',
   KV_STORE_NAME: 'split-storage',
-  DEFAULT_USER_KEY: 'user-123'
+  DEFAULT_USER_KEY: 'user-123',
+  REQUEST_ATTRIBUTES: '',
+  REQUEST_ATTRIBUTE_HEADERS: '',
+  KV_CACHE_TTL_MS: 0,
+  KV_CACHE_MAX_ENTRIES: 1000,
+  STALE_AFTER_SECONDS: 900,
+  IMPRESSIONS_EXPORT: 'kv',
+  IMPRESSIONS_LOG_ENDPOINT: 'impressions',
+  IDENTITY_COOKIE_NAME: 'fme_uid',
+  IDENTITY_COOKIE_DOMAIN: '',
+  IDENTITY_COOKIE_TTL_SECONDS: 365 * 24 * 60 * 60,
+  PROXY_BACKEND: '',
+  PROXY_FEATURE_FLAGS: '',
+  PROXY_KEY_HEADER: '',
+  PROXY_CACHE_KEY: false,
+  ORIGIN_ROUTES: '',
+  QA_OVERRIDE_KEYS: '',
+  QA_OVERRIDE_FLAGS: '',
+  KILL_SWITCHES: ''
 };
 
+/**
+ * Parse a comma-separated Config Store value into a list of trimmed entries
+ */
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a numeric Config Store value, falling back to the default if missing or invalid
+ */
+function parseNumber(value, fallback) {
+  const number = Number(value);
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Parse a boolean Config Store value ("true"/"false", "1"/"0"), falling back to the default if missing or invalid
+ */
+function parseBoolean(value, fallback) {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return fallback;
+}
+
+/**
+ * Parse the ORIGIN_ROUTES route table, a JSON array of
+ * { pathPrefix, featureFlag, treatment, backend } rows. Invalid rows are dropped.
+ */
+function parseOriginRoutes(value) {
+  if (!value) return [];
+
+  let routes;
+  try {
+    routes = JSON.parse(value);
+  } catch (error) {
+    console.error('Invalid ORIGIN_ROUTES, expected a JSON array:', error.message);
+    return [];
+  }
+  if (!Array.isArray(routes)) {
+    console.error('Invalid ORIGIN_ROUTES, expected a JSON array');
+    return [];
+  }
+
+  return routes.filter((route, index) => {
+    const valid = Boolean(route) && ['pathPrefix', 'featureFlag', 'treatment', 'backend']
+      .every(field => typeof route[field] === 'string' && route[field] !== '');
+    if (!valid) {
+      console.error(`Ignoring ORIGIN_ROUTES entry ${index}: pathPrefix, featureFlag, treatment and backend are required`);
+    }
+    return valid;
+  });
+}
+
+/**
+ * Parse the KILL_SWITCHES map, a JSON object of feature flag ->
+ * { treatment, reason, expires } (reason and expires, an ISO date, optional)
+ * or feature flag -> treatment. Invalid entries are dropped.
+ * Returns a list of { featureFlag, treatment, reason, expiresAt } (expiresAt in ms, or null).
+ */
+function parseKillSwitches(value) {
+  if (!value) return [];
+
+  let killSwitches;
+  try {
+    killSwitches = JSON.parse(value);
+  } catch (error) {
+    console.error('Invalid KILL_SWITCHES, expected a JSON object:', error.message);
+    return [];
+  }
+  if (!killSwitches || typeof killSwitches !== 'object' || Array.isArray(killSwitches)) {
+    console.error('Invalid KILL_SWITCHES, expected a JSON object');
+    return [];
+  }
+
+  return Object.entries(killSwitches).flatMap(([featureFlag, entry]) => {
+    const { treatment, reason = null, expires = null } = typeof entry === 'string' ? { treatment: entry } : (entry || {});
+    const expiresAt = expires === null ? null : Date.parse(expires);
+    if (typeof treatment !== 'string' || treatment === '' || Number.isNaN(expiresAt)) {
+      console.error(`Ignoring KILL_SWITCHES entry ${featureFlag}: a treatment is required, and expires must be a date`);
+      return [];
+    }
+    return [{ featureFlag, treatment, reason: reason === null ? null : String(reason), expiresAt }];
+  });
+}
+
 /**
  * Load configuration from Secret Store and Config Store
  * Note: This is async because Secret Store requires async access
@@ -31,6 +136,8 @@ export async function getConfig() {
   let secretStore;
   let configStore;
   let sdkKey = DEFAULTS.SPLIT_SDK_KEY;
+  let identityCookieSecret = '';
+  let qaOverrideSecret = '';
 
   // Try to load SDK key from Secret Store (production)
   // Note: Use the resource link name, not the store name
@@ -40,6 +147,14 @@ export async function getConfig() {
     if (sdkKeySecret) {
       sdkKey = await sdkKeySecret.plaintext();
     }
+    const identitySecret = await secretStore.get('IDENTITY_COOKIE_SECRET');
+    if (identitySecret) {
+      identityCookieSecret = await identitySecret.plaintext();
+    }
+    const qaSecret = await secretStore.get('QA_OVERRIDE_SECRET');
+    if (qaSecret) {
+      qaOverrideSecret = await qaSecret.plaintext();
+    }
   } catch (error) {
     // Secret Store not available (likely local development)
     console.log('Secret Store not available for SDK key, using default');
@@ -58,9 +173,50 @@ export async function getConfig() {
     SPLIT_SDK_KEY: sdkKey,
     FEATURE_FLAG_NAME: configStore?.get('FEATURE_FLAG_NAME') || DEFAULTS.FEATURE_FLAG_NAME,
     KV_STORE_NAME: configStore?.get('KV_STORE_NAME') || DEFAULTS.KV_STORE_NAME,
-    DEFAULT_USER_KEY: configStore?.get('DEFAULT_USER_KEY') || DEFAULTS.DEFAULT_USER_KEY
+    DEFAULT_USER_KEY: configStore?.get('DEFAULT_USER_KEY') || DEFAULTS.DEFAULT_USER_KEY,
+    // Request-derived targeting attributes (opt-in), e.g. "geo,user_agent,device"
+    REQUEST_ATTRIBUTES: parseList(configStore?.get('REQUEST_ATTRIBUTES') || DEFAULTS.REQUEST_ATTRIBUTES),
+    // Request headers forwarded as attributes, e.g. "X-Customer-Tier,Accept-Language"
+    REQUEST_ATTRIBUTE_HEADERS: parseList(configStore?.get('REQUEST_ATTRIBUTE_HEADERS') || DEFAULTS.REQUEST_ATTRIBUTE_HEADERS),
+    // In-memory KV read cache in SplitStorageWrapper (0 disables it)
+    KV_CACHE_TTL_MS: parseNumber(configStore?.get('KV_CACHE_TTL_MS'), DEFAULTS.KV_CACHE_TTL_MS),
+    KV_CACHE_MAX_ENTRIES: parseNumber(configStore?.get('KV_CACHE_MAX_ENTRIES'), DEFAULTS.KV_CACHE_MAX_ENTRIES),
+    // Age of the last sync after which /status reports unhealthy (0 disables the check)
+    STALE_AFTER_SECONDS: parseNumber(configStore?.get('STALE_AFTER_SECONDS'), DEFAULTS.STALE_AFTER_SECONDS),
+    // Where impressions and tracked events are exported: "kv" (queued for the sync tool), "logger", both, or "none"
+    IMPRESSIONS_EXPORT: parseList(configStore?.get('IMPRESSIONS_EXPORT') || DEFAULTS.IMPRESSIONS_EXPORT),
+    // Fastly log endpoint used by the "logger" impression export
+    IMPRESSIONS_LOG_ENDPOINT: configStore?.get('IMPRESSIONS_LOG_ENDPOINT') || DEFAULTS.IMPRESSIONS_LOG_ENDPOINT,
+    // Signed visitor ID cookie used as the traffic key when none is given (disabled without a secret)
+    IDENTITY_COOKIE_SECRET: identityCookieSecret,
+    IDENTITY_COOKIE_NAME: configStore?.get('IDENTITY_COOKIE_NAME') || DEFAULTS.IDENTITY_COOKIE_NAME,
+    IDENTITY_COOKIE_DOMAIN: configStore?.get('IDENTITY_COOKIE_DOMAIN') || DEFAULTS.IDENTITY_COOKIE_DOMAIN,
+    IDENTITY_COOKIE_TTL_SECONDS: parseNumber(configStore?.get('IDENTITY_COOKIE_TTL_SECONDS'), DEFAULTS.IDENTITY_COOKIE_TTL_SECONDS),
+    // Proxy mode: Fastly backend that receives requests not handled by the service (empty disables it)
+    PROXY_BACKEND: configStore?.get('PROXY_BACKEND') || DEFAULTS.PROXY_BACKEND,
+    // Feature flags evaluated for proxied requests and sent to the backend as X-Feature-<flag> headers
+    PROXY_FEATURE_FLAGS: parseList(configStore?.get('PROXY_FEATURE_FLAGS') || DEFAULTS.PROXY_FEATURE_FLAGS),
+    // Request header holding the traffic key of proxied requests, e.g. "X-User-Id"
+    PROXY_KEY_HEADER: configStore?.get('PROXY_KEY_HEADER') || DEFAULTS.PROXY_KEY_HEADER,
+    // Add the treatments of proxied requests to the Fastly cache key
+    PROXY_CACHE_KEY: parseBoolean(configStore?.get('PROXY_CACHE_KEY'), DEFAULTS.PROXY_CACHE_KEY),
+    // Treatment-based origin routing: path prefix + feature flag + treatment -> backend
+    ORIGIN_ROUTES: parseOriginRoutes(configStore?.get('ORIGIN_ROUTES') || DEFAULTS.ORIGIN_ROUTES),
+    // Signed QA override tokens, limited to allow-listed traffic keys and feature flags (disabled without a secret)
+    QA_OVERRIDE_SECRET: qaOverrideSecret,
+    QA_OVERRIDE_KEYS: parseList(configStore?.get('QA_OVERRIDE_KEYS') || DEFAULTS.QA_OVERRIDE_KEYS),
+    QA_OVERRIDE_FLAGS: parseList(configStore?.get('QA_OVERRIDE_FLAGS') || DEFAULTS.QA_OVERRIDE_FLAGS),
+    // Emergency kill switches: feature flag -> treatment forced for every key, optionally until an expiry
+    KILL_SWITCHES: parseKillSwitches(configStore?.get('KILL_SWITCHES') || DEFAULTS.KILL_SWITCHES)
   };
 }
 
+/**
+ * Check whether a real SDK key has been configured (not the placeholder default)
+ */
+export function isSdkKeyConfigured(config) {
+  return !config.SPLIT_SDK_KEY.startsWith('<YOUR');
+}
+
 // Export for backward compatibility
 export const config = DEFAULTS;
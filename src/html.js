@@ -0,0 +1,18 @@
+/**
+ * HTML helpers for the pages rendered by the service
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape a value for use in HTML text and attribute values
+ */
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
@@ -0,0 +1,94 @@
+/**
+ * Sticky visitor identity for requests without a traffic key
+ *
+ * Anonymous visitors get a random ID in a long-lived first-party cookie, signed
+ * with HMAC-SHA256 so that clients cannot pick their own bucket by editing it.
+ * The ID is used as the traffic key, so a visitor keeps the same treatments
+ * across requests. The cookie value is `<id>.<signature>`, and a missing,
+ * malformed or badly signed cookie is replaced by a new ID.
+ *
+ * Enabled by the IDENTITY_COOKIE_SECRET secret. The cookie name, domain and
+ * lifetime come from the Config Store (IDENTITY_COOKIE_NAME,
+ * IDENTITY_COOKIE_DOMAIN, IDENTITY_COOKIE_TTL_SECONDS).
+ */
+
+import { sign, verify } from "./signing.js";
+
+/**
+ * Read a cookie from the Cookie request header, or null if it is not set
+ */
+export function getCookie(req, name) {
+  const header = req.headers.get('Cookie') || '';
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      return part.slice(separator + 1).trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * ID from a correctly signed cookie value, or null
+ */
+async function verifyCookie(value, secret) {
+  const separator = value ? value.lastIndexOf('.') : -1;
+  if (separator <= 0) return null;
+  const id = value.slice(0, separator);
+  return await verify(id, value.slice(separator + 1), secret) ? id : null;
+}
+
+function buildSetCookie(value, url, config) {
+  const attributes = [
+    `${config.IDENTITY_COOKIE_NAME}=${value}`,
+    'Path=/',
+    `Max-Age=${config.IDENTITY_COOKIE_TTL_SECONDS}`,
+    'HttpOnly',
+    'SameSite=Lax'
+  ];
+  if (config.IDENTITY_COOKIE_DOMAIN) attributes.push(`Domain=${config.IDENTITY_COOKIE_DOMAIN}`);
+  if (url.protocol === 'https:') attributes.push('Secure');
+  return attributes.join('; ');
+}
+
+/**
+ * Whether identity cookies are enabled (a signing secret is configured)
+ */
+export function isIdentityCookieEnabled(config) {
+  return Boolean(config.IDENTITY_COOKIE_SECRET);
+}
+
+/**
+ * Traffic key of the visitor from the identity cookie, issuing a new ID if needed
+ * Resolves with { key, setCookie }, setCookie being the Set-Cookie header value to
+ * send back, or null if the visitor already has a valid cookie. Resolves with null
+ * if identity cookies are disabled.
+ */
+export async function resolveIdentity(req, url, config) {
+  if (!isIdentityCookieEnabled(config)) return null;
+
+  const secret = config.IDENTITY_COOKIE_SECRET;
+  const existingId = await verifyCookie(getCookie(req, config.IDENTITY_COOKIE_NAME), secret);
+  if (existingId) {
+    return { key: existingId, setCookie: null };
+  }
+
+  const id = crypto.randomUUID();
+  return { key: id, setCookie: buildSetCookie(`${id}.${await sign(id, secret)}`, url, config) };
+}
+
+/**
+ * Traffic key to evaluate a request for: `explicitKey` (the `key` query
+ * parameter by default), else the identity cookie, else DEFAULT_USER_KEY
+ * Resolves with { key, setCookie, fromIdentityCookie }, see resolveIdentity().
+ */
+export async function resolveEvaluationKey(req, url, config, explicitKey = url.searchParams.get('key')) {
+  if (explicitKey) {
+    return { key: explicitKey, setCookie: null, fromIdentityCookie: false };
+  }
+  const identity = await resolveIdentity(req, url, config);
+  if (identity) {
+    return { ...identity, fromIdentityCookie: true };
+  }
+  return { key: config.DEFAULT_USER_KEY, setCookie: null, fromIdentityCookie: false };
+}
@@ -0,0 +1,131 @@
+/**
+ * Impression capture and export
+ *
+ * In consumer_partial mode the SDK keeps impressions in memory, where they are
+ * lost when the Compute instance goes away. Factories are created with
+ * impressionListener, which collects every impression, and handleRequest calls
+ * exportImpressions() through event.waitUntil() so the impressions of a request
+ * leave the edge after its response. IMPRESSIONS_EXPORT selects the sinks
+ * (kv by default, "none" disables the export):
+ * - kv: queued in KV Store (see kvQueue.js) in the format of the SDK's pluggable
+ *   storage. The sync tool's Synchronizer drains the queue and posts the
+ *   impressions to Harness FME, where they feed experimentation metrics.
+ *   The impressions of a request are written as one chunk, within the request,
+ *   so none are left behind when the Compute instance goes away.
+ * - logger: one JSON line per impression to the IMPRESSIONS_LOG_ENDPOINT log
+ *   endpoint (Fastly real-time log streaming), e.g. for a data warehouse.
+ *
+ * Events accepted by POST /track (see track.js) go through the same sinks.
+ */
+
+import { Logger } from "fastly:logger";
+import { SplitStorageWrapper } from "./SplitStorageWrapper.js";
+import { IMPRESSIONS_QUEUE_KEY } from "./kvQueue.js";
+
+// Upper bound on impressions held between exports
+const MAX_BUFFERED_IMPRESSIONS = 10000;
+
+// Values of IMPRESSIONS_EXPORT that select a sink
+const EXPORT_SINKS = ['kv', 'logger'];
+
+// Impressions collected since the last export, as { m, i } queue items
+const buffer = [];
+
+// Log endpoint name -> Logger
+const loggers = new Map();
+
+/**
+ * Impression listener passed to SplitFactory
+ * Impressions are stored as the SDK's pluggable storage would queue them.
+ */
+export const impressionListener = {
+  logImpression({ impression, ip, hostname, sdkLanguageVersion }) {
+    if (buffer.length >= MAX_BUFFERED_IMPRESSIONS) return;
+    buffer.push({
+      m: { s: sdkLanguageVersion, i: ip || 'unknown', n: hostname || 'unknown' },
+      i: {
+        k: impression.keyName,
+        b: impression.bucketingKey,
+        f: impression.feature,
+        t: impression.treatment,
+        r: impression.label,
+        c: impression.changeNumber,
+        m: impression.time,
+        pt: impression.pt,
+        properties: impression.properties
+      }
+    });
+  }
+};
+
+function getLogger(endpoint) {
+  if (!loggers.has(endpoint)) {
+    loggers.set(endpoint, new Logger(endpoint));
+  }
+  return loggers.get(endpoint);
+}
+
+function impressionLogLine({ m, i }) {
+  return {
+    type: 'impression',
+    key: i.k,
+    bucketingKey: i.b,
+    featureFlag: i.f,
+    treatment: i.t,
+    label: i.r,
+    changeNumber: i.c,
+    time: i.m,
+    sdk: m.s
+  };
+}
+
+/**
+ * Sinks enabled by IMPRESSIONS_EXPORT, empty when nothing is exported
+ */
+export function exportSinks(config) {
+  return EXPORT_SINKS.filter(sink => config.IMPRESSIONS_EXPORT.includes(sink));
+}
+
+/**
+ * Send queue items to the configured sinks: the KV queue `queueKey` and/or the log endpoint
+ * `sinks` defaults to exportSinks(config).
+ * Resolves with the number of sinks the items were written to, so 0 means
+ * they were dropped. Never rejects: errors are logged.
+ */
+export async function exportItems(kvStore, config, queueKey, items, toLogLine, sinks = exportSinks(config)) {
+  let exported = 0;
+
+  if (sinks.includes('logger')) {
+    try {
+      const logger = getLogger(config.IMPRESSIONS_LOG_ENDPOINT);
+      items.forEach(item => logger.log(JSON.stringify(toLogLine(item))));
+      exported++;
+    } catch (error) {
+      console.error(`Error logging ${items.length} item(s) of ${queueKey}:`, error);
+    }
+  }
+  if (sinks.includes('kv')) {
+    try {
+      await SplitStorageWrapper(kvStore).pushItems(queueKey, items.map(item => JSON.stringify(item)));
+      exported++;
+    } catch (error) {
+      console.error(`Error queueing ${items.length} item(s) to ${queueKey}:`, error);
+    }
+  }
+
+  return exported;
+}
+
+/**
+ * Send the impressions collected during a request to the configured sinks
+ * They are written as one KV queue chunk, so a request costs at most one KV
+ * write. Never rejects: export errors are logged and the impressions dropped.
+ */
+export async function exportImpressions(kvStore, config) {
+  // The SDK calls impression listeners from a timer, after the evaluation resolves
+  await new Promise(resolve => setTimeout(resolve, 0));
+  const impressions = buffer.splice(0, buffer.length);
+  if (impressions.length === 0) return;
+
+  await exportItems(kvStore, config, IMPRESSIONS_QUEUE_KEY, impressions, impressionLogLine);
+}
@@ -2,9 +2,19 @@
 
 import { KVStore } from "fastly:kv-store";
 import { env } from "fastly:env";
-import { SplitFactory, PluggableStorage, ErrorLogger } from "@splitsoftware/splitio-browserjs";
-import { SplitStorageWrapper } from "./SplitStorageWrapper.js";
 import { getConfig } from "./config.js";
+import { evaluateTreatment, handleApiTreatment, handleApiTreatments } from "./api.js";
+import { buildAttributes, InvalidAttributesError } from "./attributes.js";
+import { createTiming, timingHeaders } from "./splitClient.js";
+import { handleStatus } from "./status.js";
+import { getManifest } from "./manifest.js";
+import { exportImpressions } from "./impressions.js";
+import { handleTrack } from "./track.js";
+import { handleBootstrap } from "./bootstrap.js";
+import { isIdentityCookieEnabled, resolveEvaluationKey } from "./identity.js";
+import { handleProxy, isProxyEnabled } from "./proxy.js";
+import { resolveQaOverrides } from "./qaOverrides.js";
+import { renderTreatmentPage } from "./treatmentPage.js";
 
 // The entry point for your application.
 addEventListener("fetch", (event) => event.respondWith(handleRequest(event)));
@@ -31,18 +41,54 @@ async function handleRequest(event) {
     );
   }
 
-  // Route handling
+  // Route the request, and report the synced data version on every response
+  const [response, manifest] = await Promise.all([
+    routeRequest(event, url, kvStore, config),
+    getManifest(kvStore, config)
+  ]);
+  if (manifest && manifest.version) {
+    response.headers.set("X-Flags-Version", manifest.version);
+  }
+
+  // Ship the impressions of this request once the response is sent
+  event.waitUntil(exportImpressions(kvStore, config));
+  return response;
+}
+
+/**
+ * Route handling
+ */
+async function routeRequest(event, url, kvStore, config) {
+  const req = event.request;
+
   switch (url.pathname) {
     case "/":
       return handleHomePage(url, config);
 
     case "/get-treatment":
-      return handleGetTreatment(url, kvStore, config);
+      return handleGetTreatment(event, url, kvStore, config);
 
     case "/status":
-      return handleStatus(kvStore, config);
+    case "/healthz":
+      return handleStatus(req, url, kvStore, config);
+
+    case "/api/v1/treatment":
+      return handleApiTreatment(event, url, kvStore, config);
+
+    case "/api/v1/treatments":
+      return handleApiTreatments(event, url, kvStore, config);
+
+    case "/track":
+      return handleTrack(event, url, kvStore, config);
+
+    case "/bootstrap":
+      return handleBootstrap(event, url, kvStore, config);
 
     default:
+      // In proxy mode, everything else goes to the origin
+      if (isProxyEnabled(config)) {
+        return handleProxy(event, url, kvStore, config);
+      }
       return new Response("Not found", {
         status: 404,
         headers: { "Content-Type": "text/plain" }
@@ -127,7 +173,7 @@ async function handleHomePage(url, config) {
           type="text"
           id="key"
           name="key"
-          value="${config.DEFAULT_USER_KEY}"
+          value="${isIdentityCookieEnabled(config) ? '' : config.DEFAULT_USER_KEY}"
           placeholder="Enter user key (e.g., user-123)"
           style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px; font-family: monospace;"
         />
@@ -159,16 +205,42 @@ async function handleHomePage(url, config) {
     <p>Evaluate a feature flag for a user</p>
     <p>Query Parameters:</p>
     <ul>
-      <li><code>key</code> - User key (optional, defaults to "${config.DEFAULT_USER_KEY}")</li>
+      <li><code>key</code> - User key (optional, defaults to ${isIdentityCookieEnabled(config) ? 'the visitor ID in the identity cookie' : `"${config.DEFAULT_USER_KEY}"`})</li>
       <li><code>feature-flag</code> - Feature flag name (optional, defaults to "${config.FEATURE_FLAG_NAME}")</li>
     </ul>
     <p>Example: <a href="/get-treatment?key=user-123&feature-flag=${config.FEATURE_FLAG_NAME}">/get-treatment?key=user-123&feature-flag=${config.FEATURE_FLAG_NAME}</a></p>
   </div>
 
+  <div class="endpoint">
+    <strong>GET /api/v1/treatment</strong>
+    <p>Evaluate a feature flag and return the result as JSON (treatment, config and timestamp)</p>
+    <p>Query Parameters: <code>key</code> and <code>feature-flag</code> (both required)</p>
+    <p>Example: <a href="/api/v1/treatment?key=user-123&feature-flag=${config.FEATURE_FLAG_NAME}">/api/v1/treatment?key=user-123&feature-flag=${config.FEATURE_FLAG_NAME}</a></p>
+  </div>
+
+  <div class="endpoint">
+    <strong>GET /api/v1/treatments</strong>
+    <p>Evaluate several feature flags for one key and return the results as JSON</p>
+    <p>Query Parameters: <code>key</code> and <code>feature-flags</code> (comma-separated, both required)</p>
+  </div>
+
+  <div class="endpoint">
+    <strong>GET /bootstrap</strong>
+    <p>Evaluate every feature flag for a user and return the treatments and configs for a browser app's first paint</p>
+    <p>Query Parameters: <code>key</code>, <code>flag-sets</code> (comma-separated) and <code>format</code> (<code>json</code> or <code>script</code>), all optional</p>
+    <p>Example: <a href="/bootstrap?key=user-123">/bootstrap?key=user-123</a></p>
+  </div>
+
+  <div class="endpoint">
+    <strong>POST /track</strong>
+    <p>Record an event (conversion, revenue, ...) for experimentation metrics</p>
+    <p>JSON body: <code>key</code>, <code>trafficType</code> and <code>eventType</code> (required), <code>value</code> and <code>properties</code> (optional)</p>
+  </div>
+
   <div class="endpoint">
     <strong>GET /status</strong>
-    <p>Check the status of the KV Store and see stored data</p>
-    <p>Example: <a href="/status">/status</a></p>
+    <p>Check the status of the KV Store and see stored data (JSON with <code>Accept: application/json</code>)</p>
+    <p>Example: <a href="/status">/status</a> or <a href="/healthz">/healthz</a></p>
   </div>
 
   <h2>Setup Instructions</h2>
@@ -203,8 +275,9 @@ async function handleHomePage(url, config) {
 /**
  * Handle feature flag evaluation
  */
-async function handleGetTreatment(url, kvStore, config) {
-  const key = url.searchParams.get("key") || config.DEFAULT_USER_KEY;
+async function handleGetTreatment(event, url, kvStore, config) {
+  // Anonymous visitors are identified by the identity cookie when it is enabled
+  const { key, setCookie, fromIdentityCookie } = await resolveEvaluationKey(event.request, url, config);
   const featureFlagName = url.searchParams.get("feature-flag") || config.FEATURE_FLAG_NAME;
 
   if (!key) {
@@ -222,91 +295,27 @@ async function handleGetTreatment(url, kvStore, config) {
   }
 
   try {
-    // Create Split factory with KV Store storage
-    const factory = SplitFactory({
-      core: {
-        authorizationKey: config.SPLIT_SDK_KEY,
-        key
-      },
-      mode: "consumer_partial",
-      storage: PluggableStorage({
-        wrapper: SplitStorageWrapper(kvStore)
-      }),
-      debug: ErrorLogger()
-    });
-
-    const client = factory.client();
-
-    // Wait for SDK to be ready
-    await new Promise((resolve) => {
-      client.on(client.Event.SDK_READY, resolve);
-      client.on(client.Event.SDK_READY_TIMED_OUT, resolve);
-    });
-
-    // Get treatment
-    const treatment = await client.getTreatment(featureFlagName);
-
-    // Clean up
-    client.destroy();
+    // Evaluate through the same code path as the JSON API
+    const attributes = buildAttributes(event, config, url.searchParams.get("attributes"));
+    const overrides = await resolveQaOverrides(event.request, url, config);
+    const timing = createTiming();
+    const result = await evaluateTreatment(kvStore, config, key, featureFlagName, { attributes, timing, overrides });
 
     // Return result as HTML for better display
-    const html = `
-<!DOCTYPE html>
-<html>
-<head>
-  <title>Feature Flag Result</title>
-  <style>
-    body {
-      font-family: system-ui, -apple-system, sans-serif;
-      max-width: 600px;
-      margin: 40px auto;
-      padding: 0 20px;
-    }
-    .result {
-      background: #f4f4f4;
-      padding: 20px;
-      border-radius: 8px;
-      margin: 20px 0;
-    }
-    .success {
-      background: #d4edda;
-      border-left: 4px solid #28a745;
-    }
-    .treatment {
-      font-size: 24px;
-      font-weight: bold;
-      color: #333;
-      margin: 10px 0;
-    }
-    a {
-      color: #0066cc;
-      text-decoration: none;
-    }
-    a:hover {
-      text-decoration: underline;
-    }
-  </style>
-</head>
-<body>
-  <h1>Feature Flag Evaluation</h1>
+    const html = renderTreatmentPage({ key, featureFlagName, result, attributes, fromIdentityCookie });
 
-  <div class="result success">
-    <p><strong>User Key:</strong> <code>${key}</code></p>
-    <p><strong>Feature Flag:</strong> <code>${featureFlagName}</code></p>
-    <p><strong>Treatment:</strong></p>
-    <div class="treatment">${treatment}</div>
-  </div>
-
-  <p><a href="/">← Back to Home</a></p>
-</body>
-</html>
-    `;
-
-    return new Response(html, {
-      status: 200,
-      headers: { "Content-Type": "text/html; charset=utf-8" }
-    });
+    const headers = new Headers({ "Content-Type": "text/html; charset=utf-8", ...timingHeaders(timing) });
+    if (setCookie) {
+      headers.set("Set-Cookie", setCookie);
+    }
+    return new Response(html, { status: 200, headers });
   } catch (error) {
+    if (error instanceof InvalidAttributesError) {
+      return new Response(`Error: ${error.message}`, {
+        status: 400,
+        headers: { "Content-Type": "text/plain" }
+      });
+    }
     console.error("Error getting treatment:", error);
     return new Response(
       `Error evaluating feature flag: ${error.message}\n\nMake sure you have synchronized data first by visiting /sync`,
@@ -314,100 +323,3 @@ async function handleGetTreatment(url, kvStore, config) {
     );
   }
 }
-
-/**
- * Handle status check
- */
-async function handleStatus(kvStore, config) {
-  try {
-    // Try to list some keys from the store
-    const keys = [];
-    const cursor = await kvStore.list({ limit: 10 });
-
-    for await (const entry of cursor) {
-      keys.push(entry.key);
-    }
-
-    const html = `
-<!DOCTYPE html>
-<html>
-<head>
-  <title>Status</title>
-  <style>
-    body {
-      font-family: system-ui, -apple-system, sans-serif;
-      max-width: 800px;
-      margin: 40px auto;
-      padding: 0 20px;
-    }
-    .status-ok {
-      background: #d4edda;
-      padding: 15px;
-      border-radius: 5px;
-      border-left: 4px solid #28a745;
-    }
-    .status-warning {
-      background: #fff3cd;
-      padding: 15px;
-      border-radius: 5px;
-      border-left: 4px solid #ffc107;
-    }
-    code {
-      background: #f4f4f4;
-      padding: 2px 6px;
-      border-radius: 3px;
-    }
-    ul {
-      max-height: 300px;
-      overflow-y: auto;
-    }
-    a {
-      color: #0066cc;
-      text-decoration: none;
-    }
-    a:hover {
-      text-decoration: underline;
-    }
-  </style>
-</head>
-<body>
-  <h1>Status Check</h1>
-
-  <div class="${keys.length > 0 ? 'status-ok' : 'status-warning'}">
-    <h3>KV Store: ${config.KV_STORE_NAME}</h3>
-    <p><strong>Status:</strong> ${keys.length > 0 ? '✓ Connected and has data' : '⚠️ Connected but empty'}</p>
-    <p><strong>Keys found:</strong> ${keys.length}</p>
-  </div>
-
-  ${keys.length > 0 ? `
-    <h3>Sample Keys (first 10):</h3>
-    <ul>
-      ${keys.map(key => `<li><code>${key}</code></li>`).join('\n')}
-    </ul>
-  ` : `
-    <p>No data found in KV Store. Run <a href="/sync">/sync</a> to synchronize feature flag data.</p>
-  `}
-
-  <h3>Configuration:</h3>
-  <ul>
-    <li><strong>SDK Key:</strong> ${config.SPLIT_SDK_KEY.startsWith('<YOUR') ? '⚠️ Not configured' : '✓ Configured'}</li>
-    <li><strong>Feature Flag:</strong> <code>${config.FEATURE_FLAG_NAME}</code></li>
-    <li><strong>Default User Key:</strong> <code>${config.DEFAULT_USER_KEY}</code></li>
-  </ul>
-
-  <p><a href="/">← Back to Home</a></p>
-</body>
-</html>
-    `;
-
-    return new Response(html, {
-      status: 200,
-      headers: { "Content-Type": "text/html; charset=utf-8" }
-    });
-  } catch (error) {
-    return new Response(
-      `Error checking status: ${error.message}`,
-      { status: 500, headers: { "Content-Type": "text/plain" } }
-    );
-  }
-}
@@ -0,0 +1,27 @@
+/**
+ * Emergency kill switches
+ *
+ * KILL_SWITCHES in the Config Store forces a treatment of a feature flag for
+ * every traffic key, e.g. to turn a bad feature off while the sync pipeline is
+ * broken: Config Store updates reach the edge without a sync. Each kill switch
+ * has an optional reason and expiry (see parseKillSwitches in config.js).
+ *
+ * Active kill switches win over SDK evaluation and QA overrides in every
+ * evaluation path (see api.js), and /status lists them all.
+ */
+
+/**
+ * Whether a kill switch applies at `now` (it has no expiry or has not expired)
+ */
+export function isKillSwitchActive(killSwitch, now = Date.now()) {
+  return killSwitch.expiresAt === null || killSwitch.expiresAt > now;
+}
+
+/**
+ * Treatments forced by the active kill switches ({ flag: treatment })
+ */
+export function activeKillSwitches(config, now = Date.now()) {
+  return Object.fromEntries(config.KILL_SWITCHES
+    .filter(killSwitch => isKillSwitchActive(killSwitch, now))
+    .map(killSwitch => [killSwitch.featureFlag, killSwitch.treatment]));
+}
@@ -0,0 +1,44 @@
+/**
+ * Key listing for Fastly KV Store
+ *
+ * KVStore.list() resolves with one page of results: { list: string[], cursor: string | undefined }.
+ * The cursor is passed to the next call to get the following page, and is
+ * undefined once the end of the listing is reached.
+ */
+
+// Keys requested per list() call
+export const DEFAULT_PAGE_SIZE = 1000;
+
+// Upper bound on keys returned by a single listing
+export const DEFAULT_MAX_KEYS = 50000;
+
+/**
+ * List keys in a KV Store, following the cursor across pages
+ * Resolves with { keys, truncated }, where truncated is true if maxKeys was reached
+ * before the end of the listing. Errors from the KV Store are propagated.
+ */
+export async function listKeys(kvStore, { prefix, pageSize = DEFAULT_PAGE_SIZE, maxKeys = DEFAULT_MAX_KEYS } = {}) {
+  const keys = [];
+  const seenCursors = new Set();
+  let cursor;
+
+  do {
+    const options = { limit: Math.min(pageSize, maxKeys - keys.length) };
+    if (prefix) options.prefix = prefix;
+    if (cursor) options.cursor = cursor;
+
+    const page = await kvStore.list(options);
+    const pageKeys = page && Array.isArray(page.list) ? page.list : [];
+    keys.push(...pageKeys.slice(0, maxKeys - keys.length));
+
+    cursor = page ? page.cursor : undefined;
+
+    // Guard against a cursor that does not advance
+    if (cursor && seenCursors.has(cursor)) {
+      throw new Error(`KV Store listing did not advance past cursor ${cursor}`);
+    }
+    if (cursor) seenCursors.add(cursor);
+  } while (cursor && keys.length < maxKeys);
+
+  return { keys, truncated: Boolean(cursor) };
+}
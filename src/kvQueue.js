@@ -0,0 +1,78 @@
+/**
+ * Impression and event queues in KV Store
+ *
+ * KV Store has no atomic append, so a queue is a set of chunk keys under
+ * queues/<queue key>/, one per push, each holding a JSON array of items (the
+ * JSON strings the SDK's pluggable storage pushes). Chunk keys start with the
+ * push time, so listing order is push order, and end with the item count, so
+ * a queue can be measured from a key listing alone.
+ *
+ * The Compute service pushes (SplitStorageWrapper.pushItems) and the sync tool
+ * pops (fastlyKVWrapper.popItems) when the Synchronizer posts impressions and
+ * events to Harness FME. Shared by both, so this module must not import any
+ * fastly: modules.
+ */
+
+// Queue keys used by the SDK's pluggable storage
+export const IMPRESSIONS_QUEUE_KEY = 'SPLITIO.impressions';
+export const EVENTS_QUEUE_KEY = 'SPLITIO.events';
+
+/**
+ * Prefix of the chunk keys of a queue
+ */
+export function queueChunkPrefix(queueKey) {
+  return `queues/${queueKey}/`;
+}
+
+/**
+ * Key for a new chunk of `count` items: <prefix><time>-<random id>-<count>
+ */
+export function queueChunkKey(queueKey, count) {
+  const id = Math.random().toString(36).slice(2, 10);
+  return `${queueChunkPrefix(queueKey)}${String(Date.now()).padStart(13, '0')}-${id}-${count}`;
+}
+
+/**
+ * Number of items in a chunk, read from its key
+ */
+export function queueChunkCount(chunkKey) {
+  const count = parseInt(chunkKey.slice(chunkKey.lastIndexOf('-') + 1), 10);
+  return Number.isNaN(count) ? 0 : count;
+}
+
+/**
+ * Total number of items in the given chunks
+ */
+export function countQueuedItems(chunkKeys) {
+  return chunkKeys.reduce((total, chunkKey) => total + queueChunkCount(chunkKey), 0);
+}
+
+/**
+ * Remove and return up to `count` items, oldest first
+ *
+ * `store` provides list(prefix), read(key) (the chunk's items, or null),
+ * write(key, items) and remove(key). The rest of a partially consumed chunk is
+ * written to a new chunk before the original is removed, so a failure can
+ * deliver items twice but never loses them.
+ */
+export async function popQueuedItems(store, queueKey, count) {
+  const chunkKeys = (await store.list(queueChunkPrefix(queueKey))).sort();
+  const items = [];
+
+  for (const chunkKey of chunkKeys) {
+    if (items.length >= count) break;
+
+    const chunk = await store.read(chunkKey);
+    const chunkItems = Array.isArray(chunk) ? chunk : [];
+    const taken = chunkItems.slice(0, count - items.length);
+    const rest = chunkItems.slice(taken.length);
+    if (rest.length > 0) {
+      // Same time and id, so the rest keeps its place in the queue
+      await store.write(`${chunkKey.slice(0, chunkKey.lastIndexOf('-'))}r-${rest.length}`, rest);
+    }
+    await store.remove(chunkKey);
+    items.push(...taken);
+  }
+
+  return items;
+}
@@ -0,0 +1,38 @@
+/**
+ * Sync manifest reader
+ *
+ * The sync script writes a manifest to KV Store after every successful sync
+ * (timestamp, change numbers, counts, content hash, tool version and host).
+ * It is cached briefly at module level so that reporting the flags version
+ * on every response does not cost a KV lookup per request.
+ */
+
+import { MANIFEST_KEY } from "./syncKeys.js";
+
+// How long a manifest read from KV Store is reused
+const MANIFEST_CACHE_MS = 1000;
+
+// KV Store name -> { manifest, fetchedAt }
+const manifestCache = new Map();
+
+/**
+ * Read the sync manifest, or null if none has been written yet
+ */
+export async function getManifest(kvStore, config) {
+  const cached = manifestCache.get(config.KV_STORE_NAME);
+  if (cached && Date.now() - cached.fetchedAt < MANIFEST_CACHE_MS) {
+    return cached.manifest;
+  }
+
+  let manifest = null;
+  try {
+    const entry = await kvStore.get(MANIFEST_KEY);
+    const text = entry ? await entry.text() : '';
+    manifest = text ? JSON.parse(text) : null;
+  } catch (error) {
+    console.error('Error reading sync manifest:', error);
+  }
+
+  manifestCache.set(config.KV_STORE_NAME, { manifest, fetchedAt: Date.now() });
+  return manifest;
+}
@@ -0,0 +1,162 @@
+/**
+ * Edge proxy mode
+ *
+ * With PROXY_BACKEND set, requests that do not match a route of the service are
+ * forwarded to that Fastly backend. Before forwarding, the PROXY_FEATURE_FLAGS
+ * are evaluated for the visitor and their treatments attached as request
+ * headers, e.g. `X-Feature-new-checkout: on`, so the origin can branch on them
+ * without running an SDK. Feature headers sent by the client are removed.
+ * Treatments forced by a kill switch or a QA override token (see api.js) are
+ * listed in the X-Feature-Forced header.
+ *
+ * The traffic key is read from the PROXY_KEY_HEADER request header when one is
+ * configured and present, else from the identity cookie (see identity.js), else
+ * DEFAULT_USER_KEY.
+ *
+ * With PROXY_CACHE_KEY enabled, the treatments are also added to the Fastly
+ * cache key, so cached origin responses are kept per treatment combination
+ * without the origin sending `Vary` on the feature headers.
+ *
+ * ORIGIN_ROUTES picks the backend by treatment, e.g. to move traffic to a new
+ * origin gradually. Each row maps a path prefix, feature flag and treatment
+ * ("*" for any treatment) to a backend. The flags of the rows matching the path
+ * are evaluated with the others, and the first row, in table order, whose
+ * treatment matches selects the backend. Requests matching no row go to
+ * PROXY_BACKEND, or get a 404 without it.
+ */
+
+import { evaluateTreatments } from "./api.js";
+import { buildAttributes } from "./attributes.js";
+import { resolveEvaluationKey } from "./identity.js";
+import { resolveQaOverrides } from "./qaOverrides.js";
+
+const FEATURE_HEADER_PREFIX = 'x-feature-';
+
+/**
+ * Whether proxy mode is enabled (a backend or origin routes are configured)
+ */
+export function isProxyEnabled(config) {
+  return Boolean(config.PROXY_BACKEND) || config.ORIGIN_ROUTES.length > 0;
+}
+
+/**
+ * Request header carrying the treatment of a feature flag
+ * Characters not allowed in header names are replaced by '-'.
+ */
+function featureHeaderName(featureFlagName) {
+  return `X-Feature-${featureFlagName.replace(/[^A-Za-z0-9_-]/g, '-')}`;
+}
+
+/**
+ * Traffic key of a proxied request, see resolveEvaluationKey()
+ * The query string belongs to the origin, so only the key header can set the key.
+ */
+function resolveProxyKey(req, url, config) {
+  const headerKey = config.PROXY_KEY_HEADER ? req.headers.get(config.PROXY_KEY_HEADER) : null;
+  return resolveEvaluationKey(req, url, config, headerKey);
+}
+
+/**
+ * Treatment of each proxied feature flag for a key
+ * Resolves with { treatments: { flag: treatment }, forced: [flag] }. Evaluation
+ * errors are logged and every flag gets "control", so the request is still
+ * forwarded when flags cannot be evaluated.
+ */
+async function evaluateProxyFlags(event, url, kvStore, config, key, featureFlags) {
+  if (featureFlags.length === 0) return { treatments: {}, forced: [] };
+
+  try {
+    const attributes = buildAttributes(event, config, null);
+    const overrides = await resolveQaOverrides(event.request, url, config);
+    const { treatments } = await evaluateTreatments(kvStore, config, key, featureFlags, { attributes, overrides });
+    return {
+      treatments: Object.fromEntries(featureFlags.map(name => [name, treatments[name]?.treatment ?? 'control'])),
+      forced: featureFlags.filter(name => treatments[name]?.forced)
+    };
+  } catch (error) {
+    console.error("Error evaluating proxy feature flags:", error);
+    return { treatments: Object.fromEntries(featureFlags.map(name => [name, 'control'])), forced: [] };
+  }
+}
+
+/**
+ * First origin route whose treatment matches, or null
+ */
+function selectRoute(routes, treatments) {
+  return routes.find(route => route.treatment === '*' || route.treatment === treatments[route.featureFlag]) || null;
+}
+
+function notFound() {
+  return new Response("Not found", {
+    status: 404,
+    headers: { "Content-Type": "text/plain" }
+  });
+}
+
+/**
+ * Cache key component for a set of treatments, e.g. "flag-a=on;flag-b=off"
+ */
+function variantKey(treatments) {
+  return Object.keys(treatments).sort().map(name => `${name}=${treatments[name]}`).join(';');
+}
+
+/**
+ * Forward a request to the proxy backend with the treatments attached
+ */
+export async function handleProxy(event, url, kvStore, config) {
+  const req = event.request;
+  const routes = config.ORIGIN_ROUTES.filter(route => url.pathname.startsWith(route.pathPrefix));
+  if (routes.length === 0 && !config.PROXY_BACKEND) {
+    return notFound();
+  }
+  const featureFlags = [...new Set([...config.PROXY_FEATURE_FLAGS, ...routes.map(route => route.featureFlag)])];
+
+  const { key, setCookie } = await resolveProxyKey(req, url, config);
+  const { treatments, forced } = await evaluateProxyFlags(event, url, kvStore, config, key, featureFlags);
+
+  const route = selectRoute(routes, treatments);
+  const backend = route ? route.backend : config.PROXY_BACKEND;
+  if (route) {
+    console.log(`Origin route ${route.pathPrefix}: ${route.featureFlag}=${treatments[route.featureFlag]} -> backend ${backend}`);
+  } else if (routes.length > 0) {
+    console.log(`No origin route for ${url.pathname} matched the treatments, using ${backend ? `backend ${backend}` : '404'}`);
+  }
+  if (!backend) {
+    return notFound();
+  }
+
+  const headers = new Headers(req.headers);
+  for (const name of [...headers.keys()]) {
+    if (name.toLowerCase().startsWith(FEATURE_HEADER_PREFIX)) headers.delete(name);
+  }
+  for (const [name, treatment] of Object.entries(treatments)) {
+    headers.set(featureHeaderName(name), treatment);
+  }
+  if (forced.length > 0) {
+    headers.set("X-Feature-Forced", forced.join(', '));
+  }
+
+  // Backends chosen by treatment can serve different content for the same URL,
+  // so routed responses are cached per backend
+  const options = { backend };
+  const cacheKeyParts = [route ? backend : '', config.PROXY_CACHE_KEY ? variantKey(treatments) : ''].filter(Boolean);
+  if (cacheKeyParts.length > 0) {
+    options.cacheKey = `${url.host}${url.pathname}${url.search}#${cacheKeyParts.join(';')}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(new Request(req, { headers }), options);
+  } catch (error) {
+    console.error(`Error forwarding request to backend ${backend}:`, error);
+    return new Response("Bad gateway", {
+      status: 502,
+      headers: { "Content-Type": "text/plain" }
+    });
+  }
+
+  if (setCookie) {
+    response.headers.append("Set-Cookie", setCookie);
+  }
+  return response;
+}
@@ -0,0 +1,93 @@
+/**
+ * QA overrides: signed tokens that force treatments for a request
+ *
+ * Testers pass a token in the `qa-override` query parameter, the X-QA-Override
+ * header or the fme_qa cookie. A token is `<payload>.<signature>`, the payload
+ * being the base64url JSON
+ *   { "treatments": { "<feature flag>": "<treatment>" }, "exp": <unix seconds> }
+ * signed with HMAC-SHA256 and the QA_OVERRIDE_SECRET secret (see qa-token.js).
+ * Expired, malformed and badly signed tokens are ignored.
+ *
+ * Disabled unless the secret is set, and limited to the traffic keys in
+ * QA_OVERRIDE_KEYS and the feature flags in QA_OVERRIDE_FLAGS. The evaluation
+ * functions of api.js apply the overrides and mark the results as forced.
+ */
+
+import { getCookie } from "./identity.js";
+import { fromBase64Url, sign, verify, toBase64Url } from "./signing.js";
+
+export const QA_OVERRIDE_PARAM = 'qa-override';
+export const QA_OVERRIDE_HEADER = 'X-QA-Override';
+export const QA_OVERRIDE_COOKIE = 'fme_qa';
+
+/**
+ * Whether QA overrides are enabled (a secret and both allow-lists are configured)
+ */
+export function isQaOverrideEnabled(config) {
+  return Boolean(config.QA_OVERRIDE_SECRET) &&
+    config.QA_OVERRIDE_KEYS.length > 0 &&
+    config.QA_OVERRIDE_FLAGS.length > 0;
+}
+
+/**
+ * Create a token forcing `treatments` ({ flag: treatment }) for `ttlSeconds`
+ */
+export async function createQaOverrideToken(treatments, ttlSeconds, secret) {
+  const payload = { treatments, exp: Math.floor(Date.now() / 1000) + ttlSeconds };
+  const encoded = toBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+  return `${encoded}.${await sign(encoded, secret)}`;
+}
+
+/**
+ * Treatments of a valid token, or null
+ */
+async function readToken(token, secret) {
+  const separator = token.lastIndexOf('.');
+  if (separator <= 0) return null;
+  const encoded = token.slice(0, separator);
+  if (!await verify(encoded, token.slice(separator + 1), secret)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(encoded));
+  } catch (error) {
+    return null;
+  }
+  if (!payload || typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) return null;
+  if (!payload.treatments || typeof payload.treatments !== 'object' || Array.isArray(payload.treatments)) return null;
+  return payload.treatments;
+}
+
+/**
+ * QA overrides of a request, or null without a valid token
+ * Only treatments of allow-listed feature flags are kept. Pass the result to
+ * the evaluation functions of api.js, which check the traffic key.
+ */
+export async function resolveQaOverrides(req, url, config) {
+  if (!isQaOverrideEnabled(config)) return null;
+
+  const token = url.searchParams.get(QA_OVERRIDE_PARAM) ||
+    req.headers.get(QA_OVERRIDE_HEADER) ||
+    getCookie(req, QA_OVERRIDE_COOKIE);
+  if (!token) return null;
+
+  const treatments = await readToken(token, config.QA_OVERRIDE_SECRET);
+  if (!treatments) {
+    console.warn('Ignoring an invalid or expired QA override token');
+    return null;
+  }
+
+  const allowed = Object.entries(treatments).filter(([name, treatment]) => (
+    config.QA_OVERRIDE_FLAGS.includes(name) && typeof treatment === 'string' && treatment !== ''
+  ));
+  return allowed.length > 0
+    ? { keys: config.QA_OVERRIDE_KEYS, treatments: Object.fromEntries(allowed) }
+    : null;
+}
+
+/**
+ * Treatments the QA overrides force for a traffic key ({ flag: treatment })
+ */
+export function qaTreatmentsForKey(overrides, key) {
+  return overrides && overrides.keys.includes(key) ? overrides.treatments : {};
+}
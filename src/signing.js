@@ -0,0 +1,68 @@
+/**
+ * HMAC-SHA256 signatures for values handed to clients
+ *
+ * Used by identity cookies (identity.js) and QA override tokens
+ * (qaOverrides.js). Only Web APIs are used, so the qa-token script can create
+ * tokens in Node.js: this module must not import any fastly: modules.
+ */
+
+// Secret -> HMAC CryptoKey
+const keyCache = new Map();
+
+function getSigningKey(secret) {
+  if (!keyCache.has(secret)) {
+    keyCache.set(secret, crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    ));
+  }
+  return keyCache.get(secret);
+}
+
+/**
+ * Base64url encoding of bytes (an ArrayBuffer or Uint8Array), without padding
+ */
+export function toBase64Url(buffer) {
+  let binary = '';
+  new Uint8Array(buffer).forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url text into a UTF-8 string
+ * Throws if the text is not valid base64url.
+ */
+export function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Compare two strings in time independent of where they differ
+ */
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Base64url HMAC-SHA256 signature of a value
+ */
+export async function sign(value, secret) {
+  const signature = await crypto.subtle.sign('HMAC', await getSigningKey(secret), new TextEncoder().encode(value));
+  return toBase64Url(signature);
+}
+
+/**
+ * Whether `signature` is the signature of `value` with `secret`
+ */
+export async function verify(value, signature, secret) {
+  return safeEqual(signature, await sign(value, secret));
+}
@@ -0,0 +1,264 @@
+/**
+ * Harness FME SDK client setup for Fastly Compute
+ *
+ * Creates a SplitFactory in consumer_partial mode that reads feature flag
+ * data from Fastly KV Store through SplitStorageWrapper.
+ *
+ * Factories are cached at module level, keyed by SDK key and KV Store name,
+ * so they survive across requests handled by the same Compute instance.
+ * Clients are cached per traffic key within each factory. A cached factory
+ * is dropped when the synced change number in KV Store moves, when it has
+ * served too many distinct keys, or when its client failed to become ready.
+ * It is also dropped when the sync manifest switches to another dataset
+ * (a rollback to a snapshot, or back to the live keys), so every factory reads
+ * from exactly one dataset. A dropped factory is only destroyed once the
+ * evaluations using it are done (see withSplitClient()), since concurrent
+ * requests can still hold its clients.
+ *
+ * The storage wrapper (and its optional read cache) is cached per KV Store
+ * and dataset, and outlives recycled factories, since it invalidates itself
+ * when the change number moves.
+ */
+
+import { SplitFactory, PluggableStorage, ErrorLogger } from "@splitsoftware/splitio-browserjs";
+import { defaults as sdkDefaults } from "@splitsoftware/splitio-browserjs/esm/settings/defaults.js";
+import { SplitStorageWrapper, readChangeNumber } from "./SplitStorageWrapper.js";
+import { getManifest } from "./manifest.js";
+import { dataKeyPrefix } from "./syncKeys.js";
+import { impressionListener } from "./impressions.js";
+
+// How often a cached factory checks the change number in KV Store
+const VERSION_CHECK_INTERVAL_MS = 1000;
+
+// Version of the installed SDK, e.g. "browserjs-1.7.1", as reported by its factories
+export const SDK_VERSION = sdkDefaults.version;
+
+// Shared clients cannot be removed from a factory individually, so the whole
+// factory is recycled once it has served this many distinct traffic keys
+const MAX_CLIENTS_PER_FACTORY = 500;
+
+// cacheKey -> { cacheKey, created, factory, clients: Map<trafficKey, client>, keyPrefix, changeNumber, checkedAt, evicted, users }
+// An entry is cached as soon as its creation starts, so concurrent requests
+// wait for the same factory (`created`) instead of creating their own
+const factoryCache = new Map();
+
+// KV Store name and cache settings -> { keyPrefix, wrapper }
+const wrapperCache = new Map();
+
+function wrapperCacheKey(config) {
+  return `${config.KV_STORE_NAME}:${config.KV_CACHE_TTL_MS}:${config.KV_CACHE_MAX_ENTRIES}`;
+}
+
+/**
+ * Get the storage wrapper for the configured KV Store and dataset, creating it if needed
+ * A wrapper for a previous dataset is replaced.
+ */
+function getStorageWrapper(kvStore, config, keyPrefix) {
+  const cached = wrapperCache.get(wrapperCacheKey(config));
+  if (cached && cached.keyPrefix === keyPrefix) {
+    return cached.wrapper;
+  }
+
+  const wrapper = SplitStorageWrapper(kvStore, {
+    keyPrefix,
+    cache: config.KV_CACHE_TTL_MS > 0
+      ? { ttlMs: config.KV_CACHE_TTL_MS, maxEntries: config.KV_CACHE_MAX_ENTRIES }
+      : null
+  });
+  wrapperCache.set(wrapperCacheKey(config), { keyPrefix, wrapper });
+  return wrapper;
+}
+
+/**
+ * Storage wrapper for the dataset the sync manifest currently points at
+ */
+export async function getCurrentStorageWrapper(kvStore, config) {
+  return getStorageWrapper(kvStore, config, dataKeyPrefix(await getManifest(kvStore, config)));
+}
+
+/**
+ * Read cache counters of the storage wrapper for the configured KV Store
+ * Returns null if the cache is disabled or no evaluation has happened yet
+ */
+export function getStorageCacheStats(config) {
+  const cached = wrapperCache.get(wrapperCacheKey(config));
+  return cached ? cached.wrapper.getCacheStats() : null;
+}
+
+/**
+ * Create a factory whose main client is bound to the given traffic key
+ * Additional keys can share the same factory through factory.client(otherKey)
+ * keyPrefix selects the dataset to read (see dataKeyPrefix in syncKeys.js).
+ */
+export function createSplitFactory(kvStore, config, key, keyPrefix = '') {
+  return SplitFactory({
+    core: {
+      authorizationKey: config.SPLIT_SDK_KEY,
+      key
+    },
+    mode: "consumer_partial",
+    storage: PluggableStorage({
+      wrapper: getStorageWrapper(kvStore, config, keyPrefix)
+    }),
+    // Collects impressions for exportImpressions() (see impressions.js)
+    impressionListener,
+    debug: ErrorLogger()
+  });
+}
+
+/**
+ * Wait for a client to be ready
+ * Resolves to false if the SDK timed out, in which case evaluations return 'control'
+ */
+export function waitForReady(client) {
+  return client.ready().then(() => true, () => false);
+}
+
+function destroyFactory(entry) {
+  entry.factory.destroy().catch((error) => console.error('Error destroying factory:', error));
+}
+
+/**
+ * Uncache a factory, destroying it now if unused, else on its last release
+ */
+function evictFactory(entry) {
+  if (entry.evicted) return;
+  entry.evicted = true;
+  if (factoryCache.get(entry.cacheKey) === entry) {
+    factoryCache.delete(entry.cacheKey);
+  }
+  if (entry.users === 0) destroyFactory(entry);
+}
+
+/**
+ * Release a factory acquired with acquireFactory()
+ */
+function releaseFactory(entry) {
+  entry.users--;
+  if (entry.evicted && entry.users === 0) destroyFactory(entry);
+}
+
+/**
+ * Start creating a factory and cache its entry right away
+ * A failed creation is uncached, so the next request retries.
+ */
+function createFactoryEntry(kvStore, config, cacheKey, key) {
+  const entry = {
+    cacheKey,
+    factory: null,
+    clients: new Map(),
+    keyPrefix: '',
+    changeNumber: -1,
+    checkedAt: Date.now(),
+    evicted: false,
+    users: 0
+  };
+  entry.created = (async () => {
+    entry.keyPrefix = dataKeyPrefix(await getManifest(kvStore, config));
+    entry.changeNumber = await readChangeNumber(kvStore, entry.keyPrefix);
+    entry.factory = createSplitFactory(kvStore, config, key, entry.keyPrefix);
+  })();
+  entry.created.catch(() => {
+    if (factoryCache.get(cacheKey) === entry) factoryCache.delete(cacheKey);
+  });
+  factoryCache.set(cacheKey, entry);
+  return entry;
+}
+
+/**
+ * Get the cached factory for this SDK key and KV Store, creating it if needed
+ * The factory is not destroyed until releaseFactory() is called.
+ */
+async function acquireFactory(kvStore, config, key) {
+  const cacheKey = `${config.SPLIT_SDK_KEY}:${config.KV_STORE_NAME}`;
+  const entry = factoryCache.get(cacheKey) || createFactoryEntry(kvStore, config, cacheKey, key);
+  entry.users++;
+
+  try {
+    await entry.created;
+
+    const now = Date.now();
+    if (!entry.evicted && now - entry.checkedAt >= VERSION_CHECK_INTERVAL_MS) {
+      entry.checkedAt = now;
+      const keyPrefix = dataKeyPrefix(await getManifest(kvStore, config));
+      const changeNumber = await readChangeNumber(kvStore, keyPrefix);
+      if (keyPrefix !== entry.keyPrefix || changeNumber !== entry.changeNumber) {
+        evictFactory(entry);
+      }
+    }
+  } catch (error) {
+    releaseFactory(entry);
+    throw error;
+  }
+
+  if (!entry.evicted && !entry.clients.has(key) && entry.clients.size >= MAX_CLIENTS_PER_FACTORY) {
+    evictFactory(entry);
+  }
+  if (!entry.evicted) return entry;
+
+  // Use the replacement, which a concurrent request may have started already
+  releaseFactory(entry);
+  return acquireFactory(kvStore, config, key);
+}
+
+/**
+ * Create an object that collects SDK timing for a request
+ */
+export function createTiming() {
+  return { cacheHits: 0, cacheMisses: 0, initMs: 0, evalMs: 0 };
+}
+
+/**
+ * Response headers reporting SDK timing and whether cached clients were reused
+ */
+export function timingHeaders(timing) {
+  return {
+    "Server-Timing": `sdk-init;dur=${timing.initMs.toFixed(2)}, sdk-eval;dur=${timing.evalMs.toFixed(2)}`,
+    "X-Split-Client-Cache": timing.cacheMisses === 0 ? 'hit' : 'miss'
+  };
+}
+
+/**
+ * Call `use(client, manager)` with a ready client for the given traffic key and
+ * the manager of its factory, reusing cached factories and clients
+ * The factory is kept alive until the promise returned by `use` settles.
+ * Records initialization time and cache usage in `timing`
+ */
+export async function withSplitClient(kvStore, config, key, timing, use) {
+  const start = performance.now();
+  const entry = await acquireFactory(kvStore, config, key);
+
+  try {
+    let client = entry.clients.get(key);
+    if (client) {
+      timing.cacheHits++;
+    } else {
+      timing.cacheMisses++;
+      client = entry.factory.client(key);
+      entry.clients.set(key, client);
+    }
+
+    const ready = await waitForReady(client);
+    if (!ready) {
+      // Do not keep a factory that could not read from storage
+      evictFactory(entry);
+    }
+
+    timing.initMs += performance.now() - start;
+    return await use(client, entry.factory.manager());
+  } finally {
+    releaseFactory(entry);
+  }
+}
+
+/**
+ * Measure an evaluation and add its duration to `timing`
+ */
+export async function timeEvaluation(timing, evaluate) {
+  const start = performance.now();
+  try {
+    return await evaluate();
+  } finally {
+    timing.evalMs += performance.now() - start;
+  }
+}
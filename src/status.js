@@ -0,0 +1,278 @@
+/**
+ * Service status and health check
+ *
+ * GET /status returns an HTML page, or JSON when requested with
+ * `Accept: application/json`. GET /healthz always returns JSON.
+ *
+ * The JSON document reports the synced data (change number, time of the
+ * last sync, flag and segment counts, sync manifest) and responds with 503 when the
+ * service cannot serve fresh evaluations: no data, no SDK key, or a last
+ * sync older than STALE_AFTER_SECONDS from the Config Store.
+ *
+ * Counts come from the sync manifest, so health checks cost a few KV reads.
+ * The KV Store keys are only listed for the HTML page, or to count them
+ * without a manifest.
+ *
+ * Kill switches from the Config Store are listed with their reason, expiry and
+ * whether they are active. They do not affect health.
+ *
+ * After a rollback the manifest points at a snapshot of the dataset. The status
+ * then reports that snapshot, and skips the staleness check since syncing is
+ * paused until the rollback is released.
+ */
+
+import { env } from "fastly:env";
+import { isSdkKeyConfigured } from "./config.js";
+import { jsonResponse } from "./api.js";
+import { listKeys } from "./kvList.js";
+import { readChangeNumber } from "./SplitStorageWrapper.js";
+import { getStorageCacheStats } from "./splitClient.js";
+import { getManifest } from "./manifest.js";
+import { dataKeyPrefix } from "./syncKeys.js";
+import { isKillSwitchActive } from "./killSwitches.js";
+import { escapeHtml } from "./html.js";
+
+const DATA_KEY_PREFIX = 'SPLITIO.';
+const SPLIT_KEY_PREFIX = 'SPLITIO.split.';
+const SEGMENT_KEY_PREFIX = 'SPLITIO.segment.';
+
+/**
+ * Gather the status of the synced data and the service
+ * With `listKeys`, the keys of the dataset are listed (keyCount, sampleKeys)
+ * even when the manifest has the counts.
+ */
+export async function collectStatus(kvStore, config, { listKeys: includeKeys = false } = {}) {
+  const manifest = await getManifest(kvStore, config);
+  const keyPrefix = dataKeyPrefix(manifest);
+  const counts = manifest && manifest.counts ? manifest.counts : null;
+  const [changeNumber, listing] = await Promise.all([
+    readChangeNumber(kvStore, keyPrefix),
+    includeKeys || !counts ? listKeys(kvStore, { prefix: `${keyPrefix}${DATA_KEY_PREFIX}` }) : null
+  ]);
+
+  const keys = listing ? listing.keys.map(key => key.slice(keyPrefix.length)) : null;
+  const rollback = manifest && manifest.rollback ? manifest.rollback : null;
+  const flagCount = counts
+    ? counts.flags
+    : keys.filter(key => key.startsWith(SPLIT_KEY_PREFIX)).length;
+  const segmentCount = counts
+    ? counts.segments
+    : keys.filter(key => key.startsWith(SEGMENT_KEY_PREFIX) && !key.endsWith('.till')).length;
+
+  const lastSyncAt = manifest && manifest.timestamp ? new Date(manifest.timestamp) : null;
+  const ageSeconds = lastSyncAt && !Number.isNaN(lastSyncAt.getTime())
+    ? Math.max(0, Math.round((Date.now() - lastSyncAt.getTime()) / 1000))
+    : null;
+
+  const problems = [];
+  const sdkKeyConfigured = isSdkKeyConfigured(config);
+  if (!sdkKeyConfigured) {
+    problems.push('SDK key not configured');
+  }
+  if (changeNumber === -1) {
+    problems.push('No feature flag data in KV Store');
+  }
+  if (config.STALE_AFTER_SECONDS > 0 && !rollback) {
+    if (ageSeconds === null) {
+      problems.push('Time of the last sync is unknown');
+    } else if (ageSeconds > config.STALE_AFTER_SECONDS) {
+      problems.push(`Last sync is ${ageSeconds}s old (threshold ${config.STALE_AFTER_SECONDS}s)`);
+    }
+  }
+
+  return {
+    healthy: problems.length === 0,
+    problems,
+    serviceVersion: env('FASTLY_SERVICE_VERSION') || 'local',
+    sdkKeyConfigured,
+    kvStore: config.KV_STORE_NAME,
+    flagsVersion: manifest ? manifest.version : null,
+    rollback,
+    data: {
+      changeNumber,
+      lastSyncAt: ageSeconds !== null ? lastSyncAt.toISOString() : null,
+      ageSeconds,
+      staleAfterSeconds: config.STALE_AFTER_SECONDS,
+      flagCount,
+      segmentCount,
+      keyCount: keys ? keys.length : null,
+      keyListingTruncated: listing ? listing.truncated : null
+    },
+    manifest,
+    killSwitches: config.KILL_SWITCHES.map(killSwitch => ({
+      featureFlag: killSwitch.featureFlag,
+      treatment: killSwitch.treatment,
+      reason: killSwitch.reason,
+      expiresAt: killSwitch.expiresAt === null ? null : new Date(killSwitch.expiresAt).toISOString(),
+      active: isKillSwitchActive(killSwitch)
+    })),
+    cache: getStorageCacheStats(config),
+    sampleKeys: keys ? keys.slice(0, 10) : [],
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Build the JSON status response (503 when unhealthy)
+ */
+function statusJsonResponse(status) {
+  const { sampleKeys, ...body } = status;
+  return jsonResponse(body, status.healthy ? 200 : 503);
+}
+
+/**
+ * HTML-escaped value, or "unknown" when missing (manifests of older sync tools
+ * or imports may lack fields)
+ */
+function orUnknown(value) {
+  return value === undefined || value === null ? 'unknown' : escapeHtml(value);
+}
+
+/**
+ * Render the status page
+ */
+function statusHtmlResponse(status, config) {
+  const { data, cache: cacheStats, sampleKeys, manifest } = status;
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Status</title>
+  <style>
+    body {
+      font-family: system-ui, -apple-system, sans-serif;
+      max-width: 800px;
+      margin: 40px auto;
+      padding: 0 20px;
+    }
+    .status-ok {
+      background: #d4edda;
+      padding: 15px;
+      border-radius: 5px;
+      border-left: 4px solid #28a745;
+    }
+    .status-warning {
+      background: #fff3cd;
+      padding: 15px;
+      border-radius: 5px;
+      border-left: 4px solid #ffc107;
+    }
+    code {
+      background: #f4f4f4;
+      padding: 2px 6px;
+      border-radius: 3px;
+    }
+    ul {
+      max-height: 300px;
+      overflow-y: auto;
+    }
+    a {
+      color: #0066cc;
+      text-decoration: none;
+    }
+    a:hover {
+      text-decoration: underline;
+    }
+  </style>
+</head>
+<body>
+  <h1>Status Check</h1>
+
+  <div class="${status.healthy ? 'status-ok' : 'status-warning'}">
+    <h3>KV Store: ${escapeHtml(config.KV_STORE_NAME)}</h3>
+    <p><strong>Status:</strong> ${status.healthy ? '✓ Healthy' : `⚠️ ${escapeHtml(status.problems.join('; '))}`}</p>
+    <p><strong>Keys found:</strong> ${data.keyCount}${data.keyListingTruncated ? '+ (listing truncated)' : ''}</p>
+    <p><strong>Feature flags:</strong> ${data.flagCount} &middot; <strong>Segments:</strong> ${data.segmentCount}</p>
+    <p><strong>Change Number:</strong> <code>${data.changeNumber}</code></p>
+    <p><strong>Last Sync:</strong> ${data.lastSyncAt ? `${data.lastSyncAt} (${data.ageSeconds}s ago)` : 'unknown'}</p>
+    <p><strong>Flags Version:</strong> <code>${orUnknown(status.flagsVersion)}</code></p>
+    ${status.rollback ? `<p><strong>Rolled back</strong> to snapshot <code>${orUnknown(status.rollback.snapshot)}</code> at ${orUnknown(status.rollback.at)} (syncing is paused)</p>` : ''}
+    <p><strong>Service Version:</strong> <code>${escapeHtml(status.serviceVersion)}</code></p>
+  </div>
+
+  ${sampleKeys.length > 0 ? `
+    <h3>Sample Keys (first 10):</h3>
+    <ul>
+      ${sampleKeys.map(key => `<li><code>${escapeHtml(key)}</code></li>`).join('\n')}
+    </ul>
+  ` : `
+    <p>No data found in KV Store. Run <code>npm run sync</code> to synchronize feature flag data.</p>
+  `}
+
+  <h3>Sync Manifest:</h3>
+  ${manifest ? `
+    <ul>
+      <li><strong>Content Hash:</strong> <code>${orUnknown(manifest.contentHash)}</code></li>
+      <li><strong>Change Numbers:</strong> flags <code>${orUnknown(manifest.changeNumbers?.splits)}</code>, segments <code>${orUnknown(manifest.changeNumbers?.segments)}</code></li>
+      <li><strong>Synced:</strong> ${orUnknown(manifest.counts?.flags)} flags, ${orUnknown(manifest.counts?.segments)} segments</li>
+      <li><strong>Tool:</strong> ${orUnknown(manifest.tool?.name)} (Synchronizer ${orUnknown(manifest.tool?.synchronizerVersion)}, Node.js ${orUnknown(manifest.tool?.node)})</li>
+      <li><strong>Host:</strong> <code>${orUnknown(manifest.host)}</code></li>
+    </ul>
+  ` : `
+    <p>No sync manifest found. Run <code>npm run sync</code> to write one.</p>
+  `}
+
+  <h3>Kill Switches:</h3>
+  ${status.killSwitches.length > 0 ? `
+    <ul>
+      ${status.killSwitches.map(killSwitch => `<li><code>${escapeHtml(killSwitch.featureFlag)}</code> &rarr; <code>${escapeHtml(killSwitch.treatment)}</code>${killSwitch.active ? '' : ' (expired)'}: ${killSwitch.reason ? escapeHtml(killSwitch.reason) : 'no reason given'}${killSwitch.expiresAt ? ` &middot; expires ${killSwitch.expiresAt}` : ''}</li>`).join('\n')}
+    </ul>
+  ` : `
+    <p>None (set <code>KILL_SWITCHES</code> in the Config Store to force treatments in an emergency).</p>
+  `}
+
+  <h3>KV Read Cache:</h3>
+  ${cacheStats ? `
+    <ul>
+      <li><strong>Hits:</strong> ${cacheStats.hits}</li>
+      <li><strong>Misses:</strong> ${cacheStats.misses}</li>
+      <li><strong>Entries:</strong> ${cacheStats.size} / ${cacheStats.maxEntries}</li>
+      <li><strong>Evictions:</strong> ${cacheStats.evictions}</li>
+      <li><strong>Invalidations:</strong> ${cacheStats.invalidations}</li>
+      <li><strong>TTL:</strong> ${cacheStats.ttlMs} ms</li>
+      <li><strong>Change Number:</strong> <code>${cacheStats.changeNumber}</code></li>
+    </ul>
+  ` : `
+    <p>${config.KV_CACHE_TTL_MS > 0 ? 'No evaluations served by this instance yet.' : 'Disabled (set <code>KV_CACHE_TTL_MS</code> in the Config Store to enable).'}</p>
+  `}
+
+  <h3>Configuration:</h3>
+  <ul>
+    <li><strong>SDK Key:</strong> ${status.sdkKeyConfigured ? '✓ Configured' : '⚠️ Not configured'}</li>
+    <li><strong>Feature Flag:</strong> <code>${escapeHtml(config.FEATURE_FLAG_NAME)}</code></li>
+    <li><strong>Default User Key:</strong> <code>${escapeHtml(config.DEFAULT_USER_KEY)}</code></li>
+  </ul>
+
+  <p><strong>JSON:</strong> request this page with <code>Accept: application/json</code> or visit <a href="/healthz">/healthz</a></p>
+
+  <p><a href="/">← Back to Home</a></p>
+</body>
+</html>
+    `;
+
+  return new Response(html, {
+    status: 200,
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
+
+/**
+ * Handle /status and /healthz
+ */
+export async function handleStatus(req, url, kvStore, config) {
+  const wantsJson = url.pathname === "/healthz" ||
+    (req.headers.get("Accept") || "").includes("application/json");
+
+  try {
+    const status = await collectStatus(kvStore, config, { listKeys: !wantsJson });
+    return wantsJson ? statusJsonResponse(status) : statusHtmlResponse(status, config);
+  } catch (error) {
+    if (wantsJson) {
+      return jsonResponse({ healthy: false, problems: [`Error checking status: ${error.message}`] }, 503);
+    }
+    return new Response(
+      `Error checking status: ${error.message}`,
+      { status: 500, headers: { "Content-Type": "text/plain" } }
+    );
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * KV Store keys written by the sync tool next to the Synchronizer data
+ *
+ * Shared by the sync tool (Node.js) and the Compute service, so this module
+ * must not import any fastly: modules.
+ */
+
+// Sync manifest written after every successful sync (see sync/manifest.js)
+export const MANIFEST_KEY = 'sync/manifest';
+
+// Index of the dataset snapshots kept by the sync tool (see sync/snapshots.js)
+export const SNAPSHOT_INDEX_KEY = 'sync/snapshots';
+
+/**
+ * Prefix under which a snapshot's copy of the synced keys is stored
+ */
+export function snapshotKeyPrefix(id) {
+  return `${SNAPSHOT_INDEX_KEY}/${id}/`;
+}
+
+/**
+ * Prefix of the dataset the manifest points at: '' for the keys written by the
+ * Synchronizer, or a snapshot prefix after a rollback
+ */
+export function dataKeyPrefix(manifest) {
+  return (manifest && manifest.keyPrefix) || '';
+}
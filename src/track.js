@@ -0,0 +1,229 @@
+/**
+ * Event tracking endpoint
+ *
+ * POST /track with a JSON body (any content type, so navigator.sendBeacon works):
+ *   { "key": "user-123", "trafficType": "user", "eventType": "checkout",
+ *     "value": 42.5, "properties": { "plan": "premium" } }
+ *
+ * Inputs are validated with the rules of the SDK's client.track(): invalid ones
+ * are rejected with a 400, and the cases the SDK only warns about (upper case
+ * traffic type, unsupported property values, unknown traffic type) are accepted
+ * and reported in `warnings`. Accepted events are exported like impressions (see
+ * impressions.js), so with the `kv` sink the Synchronizer posts them to Harness FME.
+ *
+ * Without a `key`, the visitor ID of the identity cookie is used when identity
+ * cookies are enabled (see identity.js).
+ */
+
+import { ApiError, errorResponse, jsonResponse } from "./api.js";
+import { isSdkKeyConfigured } from "./config.js";
+import { exportItems, exportSinks } from "./impressions.js";
+import { EVENTS_QUEUE_KEY } from "./kvQueue.js";
+import { SDK_VERSION, getCurrentStorageWrapper } from "./splitClient.js";
+import { isIdentityCookieEnabled, resolveEvaluationKey } from "./identity.js";
+
+// Limits applied by client.track()
+const KEY_MAX_LENGTH = 250;
+const EVENT_TYPE_REGEX = /^[a-zA-Z0-9][-_.:a-zA-Z0-9]{0,79}$/;
+const MAX_PROPERTIES = 300;
+const MAX_EVENT_SIZE = 1024 * 32;
+const BASE_EVENT_SIZE = 1024;
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function validateKey(key) {
+  if (key === undefined || key === null) {
+    throw new ApiError(400, 'missing_key', "Field 'key' is required");
+  }
+  if (isFiniteNumber(key)) return String(key);
+  if (typeof key !== 'string') {
+    throw new ApiError(400, 'invalid_key', "Field 'key' must be a string or a number");
+  }
+  const trimmed = key.trim();
+  if (trimmed.length === 0 || trimmed.length > KEY_MAX_LENGTH) {
+    throw new ApiError(400, 'invalid_key', `Field 'key' must have between 1 and ${KEY_MAX_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+function validateTrafficType(trafficType, warnings) {
+  if (typeof trafficType !== 'string' || trafficType.length === 0) {
+    throw new ApiError(400, 'invalid_traffic_type', "Field 'trafficType' must be a non-empty string");
+  }
+  if (/[A-Z]/.test(trafficType)) {
+    warnings.push("'trafficType' should be all lowercase, converting it");
+    return trafficType.toLowerCase();
+  }
+  return trafficType;
+}
+
+function validateEventType(eventType) {
+  if (typeof eventType !== 'string' || !EVENT_TYPE_REGEX.test(eventType)) {
+    throw new ApiError(400, 'invalid_event_type',
+      "Field 'eventType' must start with a letter or number and contain at most 80 letters, numbers, '-', '_', '.' or ':'");
+  }
+  return eventType;
+}
+
+function validateValue(value) {
+  if (value === undefined || value === null) return null;
+  if (!isFiniteNumber(value)) {
+    throw new ApiError(400, 'invalid_value', "Field 'value' must be a finite number");
+  }
+  return value;
+}
+
+/**
+ * Validate event properties: values other than strings, finite numbers, booleans
+ * and null are replaced by null, and the estimated event size must stay under 32KB
+ */
+function validateProperties(properties, warnings) {
+  if (properties === undefined || properties === null) return null;
+  if (typeof properties !== 'object' || Array.isArray(properties)) {
+    throw new ApiError(400, 'invalid_properties', "Field 'properties' must be a JSON object");
+  }
+
+  const names = Object.keys(properties);
+  if (names.length > MAX_PROPERTIES) {
+    warnings.push(`Events should have at most ${MAX_PROPERTIES} properties`);
+  }
+
+  const validated = {};
+  let size = BASE_EVENT_SIZE;
+  for (const name of names) {
+    let value = properties[name];
+    if (!(typeof value === 'string' || isFiniteNumber(value) || typeof value === 'boolean' || value === null)) {
+      warnings.push(`Property '${name}' is not a string, number, boolean or null, setting it to null`);
+      value = null;
+    }
+    validated[name] = value;
+
+    size += name.length * 2;
+    if (typeof value === 'string') size += value.length * 2;
+    else if (typeof value === 'number') size += 8;
+    else if (typeof value === 'boolean') size += 4;
+    if (size > MAX_EVENT_SIZE) {
+      throw new ApiError(400, 'properties_too_large', 'Event properties must not exceed 32KB');
+    }
+  }
+  return validated;
+}
+
+/**
+ * Read the JSON body of a track request
+ */
+async function readTrackBody(req) {
+  let body;
+  try {
+    body = JSON.parse(await req.text());
+  } catch (error) {
+    throw new ApiError(400, 'invalid_json', 'Request body must be valid JSON');
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'invalid_body', 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * Validate the fields of a track request
+ * Returns { eventData, warnings }, eventData having the shape the SDK queues.
+ */
+function validateTrackBody(body) {
+  // Validated in the order client.track() validates its arguments
+  const warnings = [];
+  const key = validateKey(body.key);
+  const trafficTypeName = validateTrafficType(body.trafficType, warnings);
+  const eventTypeId = validateEventType(body.eventType);
+  const value = validateValue(body.value);
+  const properties = validateProperties(body.properties, warnings);
+
+  const eventData = { eventTypeId, trafficTypeName, value, timestamp: Date.now(), key, properties };
+  return { eventData, warnings };
+}
+
+/**
+ * Whether any synced feature flag uses the traffic type
+ * client.track() only warns about unknown traffic types, and so does /track.
+ */
+async function trafficTypeExists(kvStore, config, trafficType) {
+  try {
+    const wrapper = await getCurrentStorageWrapper(kvStore, config);
+    return Number(await wrapper.get(`SPLITIO.trafficType.${trafficType}`)) > 0;
+  } catch (error) {
+    console.error(`Error reading traffic type ${trafficType}:`, error);
+    return true;
+  }
+}
+
+function eventLogLine({ e }) {
+  return {
+    type: 'event',
+    key: e.key,
+    trafficType: e.trafficTypeName,
+    eventType: e.eventTypeId,
+    value: e.value,
+    properties: e.properties,
+    time: e.timestamp
+  };
+}
+
+/**
+ * POST /track
+ */
+export async function handleTrack(event, url, kvStore, config) {
+  const req = event.request;
+  try {
+    if (req.method !== "POST") {
+      throw new ApiError(405, 'method_not_allowed', `Method ${req.method} not allowed`);
+    }
+    if (!isSdkKeyConfigured(config)) {
+      throw new ApiError(503, 'sdk_key_not_configured', 'Harness FME SDK key not configured');
+    }
+    const sinks = exportSinks(config);
+    if (sinks.length === 0) {
+      throw new ApiError(503, 'track_disabled', 'Event tracking is disabled: IMPRESSIONS_EXPORT selects no sink');
+    }
+
+    const body = await readTrackBody(req);
+    // Events are never attributed to DEFAULT_USER_KEY, so a key is required without identity cookies
+    const identity = (body.key === undefined || body.key === null) && isIdentityCookieEnabled(config)
+      ? await resolveEvaluationKey(req, url, config, null)
+      : null;
+    const { eventData, warnings } = validateTrackBody(identity ? { ...body, key: identity.key } : body);
+    if (!await trafficTypeExists(kvStore, config, eventData.trafficTypeName)) {
+      warnings.push(`Traffic type '${eventData.trafficTypeName}' is not used by any feature flag`);
+    }
+
+    // Queued like the SDK's pluggable storage queues events
+    const metadata = { s: SDK_VERSION, i: 'unknown', n: 'unknown' };
+    if (await exportItems(kvStore, config, EVENTS_QUEUE_KEY, [{ m: metadata, e: eventData }], eventLogLine, sinks) < sinks.length) {
+      throw new ApiError(500, 'track_failed', 'The event could not be queued');
+    }
+
+    const response = jsonResponse({
+      accepted: true,
+      event: {
+        key: eventData.key,
+        trafficType: eventData.trafficTypeName,
+        eventType: eventData.eventTypeId,
+        value: eventData.value,
+        properties: eventData.properties,
+        timestamp: eventData.timestamp
+      },
+      warnings
+    }, 202);
+    if (identity?.setCookie) {
+      response.headers.set("Set-Cookie", identity.setCookie);
+    }
+    return response;
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return errorResponse(error.status, error.code, error.message);
+    }
+    console.error("Error tracking event:", error);
+    return errorResponse(500, 'track_failed', `Error tracking event: ${error.message}`);
+  }
+}
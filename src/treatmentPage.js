@@ -0,0 +1,75 @@
+/**
+ * Result page of GET /get-treatment
+ *
+ * Every value interpolated into the page comes from the request or from flag
+ * data, so all of them are HTML-escaped. Kept free of fastly: modules so the
+ * rendering can be tested in Node.js.
+ */
+
+import { escapeHtml } from "./html.js";
+
+/**
+ * Render the evaluation result of a feature flag for a key
+ */
+export function renderTreatmentPage({ key, featureFlagName, result, attributes, fromIdentityCookie = false }) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Feature Flag Result</title>
+  <style>
+    body {
+      font-family: system-ui, -apple-system, sans-serif;
+      max-width: 600px;
+      margin: 40px auto;
+      padding: 0 20px;
+    }
+    .result {
+      background: #f4f4f4;
+      padding: 20px;
+      border-radius: 8px;
+      margin: 20px 0;
+    }
+    .success {
+      background: #d4edda;
+      border-left: 4px solid #28a745;
+    }
+    .forced {
+      color: #856404;
+      background: #fff3cd;
+      padding: 8px;
+      border-radius: 4px;
+    }
+    .treatment {
+      font-size: 24px;
+      font-weight: bold;
+      color: #333;
+      margin: 10px 0;
+    }
+    a {
+      color: #0066cc;
+      text-decoration: none;
+    }
+    a:hover {
+      text-decoration: underline;
+    }
+  </style>
+</head>
+<body>
+  <h1>Feature Flag Evaluation</h1>
+
+  <div class="result success">
+    <p><strong>User Key:</strong> <code>${escapeHtml(key)}</code>${fromIdentityCookie ? ' (from the identity cookie)' : ''}</p>
+    <p><strong>Feature Flag:</strong> <code>${escapeHtml(featureFlagName)}</code></p>
+    <p><strong>Treatment:</strong></p>
+    <div class="treatment">${escapeHtml(result.treatment)}</div>
+    ${result.forced ? `<p class="forced"><strong>Forced:</strong> this treatment was set by ${result.forced === 'kill_switch' ? 'a kill switch' : 'a QA override token'}, not by the feature flag's rules</p>` : ''}
+    ${result.config !== null ? `<p><strong>Config:</strong> <code>${escapeHtml(JSON.stringify(result.config))}</code></p>` : ''}
+    ${Object.keys(attributes).length > 0 ? `<p><strong>Attributes:</strong> <code>${escapeHtml(JSON.stringify(attributes))}</code></p>` : ''}
+  </div>
+
+  <p><a href="/">← Back to Home</a></p>
+</body>
+</html>
+`;
+}
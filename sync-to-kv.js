@@ -12,11 +12,107 @@
  *
  * Or provide environment variables directly:
  *   FASTLY_API_TOKEN=xxx SPLIT_SDK_KEY=xxx KV_STORE_ID=xxx npm run sync
+ *
+ * Commands:
+ *   (none)               Sync, then snapshot the synced dataset (with SNAPSHOT_RETENTION)
+ *   snapshots            List the snapshots kept in the target store
+ *   rollback <snapshot>  Point the edge at a snapshot. Syncs leave it in place
+ *                        until one is run with --resume.
+ *
+ * Options:
+ *   --watch     Keep running and sync every --interval seconds (default 300, or
+ *               SYNC_INTERVAL_SECONDS), serving health and metrics on --port
+ *               (default 9090, or SYNC_HEALTH_PORT; 0 disables it)
+ *   --webhook   Like --watch, and also accept Harness FME change webhooks on
+ *               POST /webhook of the health port to sync right away. Requires
+ *               WEBHOOK_SECRET; bursts are debounced by WEBHOOK_DEBOUNCE_MS (2000)
+ *   --resume    Sync even if the target is rolled back to a snapshot, and switch
+ *               the edge back to the freshly synced data
+ *   --dry-run   Run the Synchronizer without writing to KV Store and print a diff
+ *               of the changes it would make against the current KV contents
+ *   --json      With --dry-run, print the diff as JSON (for CI review)
+ *   --target=local-file
+ *               Sync into a local JSON file in the format `fastly compute serve`
+ *               loads (fastly.toml local_server.kv_stores) instead of KV Store
+ *   --file=<path>
+ *               Local KV Store file for --target=local-file and --import
+ *               (default: kv-store-data/split-storage)
+ *   --import    Push every key of a local KV Store file to Fastly KV Store
+ *   --flags-file=<path>
+ *               Write the feature flags and segments defined in a YAML/JSON file
+ *               (see sync/localFlags.js) instead of running the Synchronizer.
+ *               No Harness FME account or SDK key is needed.
+ *
+ * KV Store requests are retried with exponential backoff (KV_MAX_RETRIES,
+ * KV_RETRY_BASE_DELAY_MS, KV_RETRY_MAX_DELAY_MS) and limited to
+ * KV_MAX_CONCURRENCY requests in flight. If any request still fails, the script
+ * lists the affected keys and exits non-zero without writing the manifest.
+ *
+ * SNAPSHOT_RETENTION enables snapshots and sets how many are kept. They are off
+ * by default, since each snapshot reads and copies every synced key.
+ *
+ * Each Synchronizer run also drains the impression and event queues that the
+ * Compute service writes to KV Store and posts them to Harness FME.
  */
 
+import { parseArgs } from 'node:util';
 import { Synchronizer } from '@splitsoftware/splitio-sync-tools';
-import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { MANIFEST_KEY } from './src/syncKeys.js';
+import { buildManifest } from './sync/manifest.js';
+import { createFastlyKVWrapper, kvOptionsFromEnv } from './sync/fastlyKVWrapper.js';
+import { createFileKVWrapper, DEFAULT_LOCAL_KV_FILE } from './sync/fileKVWrapper.js';
+import { buildLocalRecords, loadFlagsFile, writeLocalRecords } from './sync/localFlags.js';
+import { createRecordingWrapper } from './sync/recordingWrapper.js';
+import { createSyncDaemon } from './sync/daemon.js';
+import { createWebhookHandler } from './sync/webhook.js';
+import {
+  createSnapshot, isRolledBack, listSnapshots, rollbackToSnapshot
+} from './sync/snapshots.js';
+import { computeDiff, formatDiff } from './sync/diff.js';
+
+// Command line options
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+    target: { type: 'string', default: 'kv' },
+    file: { type: 'string', default: DEFAULT_LOCAL_KV_FILE },
+    import: { type: 'boolean', default: false },
+    'flags-file': { type: 'string' },
+    resume: { type: 'boolean', default: false },
+    watch: { type: 'boolean', default: false },
+    webhook: { type: 'boolean', default: false },
+    interval: { type: 'string' },
+    port: { type: 'string' }
+  }
+});
+const [command, ...commandArgs] = positionals;
+
+const COMMANDS = ['snapshots', 'rollback'];
+if (command && !COMMANDS.includes(command)) {
+  console.error(`❌ Unknown command "${command}", expected one of: ${COMMANDS.join(', ')}`);
+  process.exit(1);
+}
+if (command === 'rollback' && commandArgs.length !== 1) {
+  console.error('❌ Usage: node sync-to-kv.js rollback <snapshot>');
+  process.exit(1);
+}
+
+const TARGETS = ['kv', 'local-file'];
+if (!TARGETS.includes(options.target)) {
+  console.error(`❌ Unknown --target "${options.target}", expected one of: ${TARGETS.join(', ')}`);
+  process.exit(1);
+}
+if (options.import && (options.target !== 'kv' || options['dry-run'])) {
+  console.error('❌ --import always writes to Fastly KV Store and cannot be combined with --target or --dry-run');
+  process.exit(1);
+}
+if ((options.watch || options.webhook) && (command || options.import || options['dry-run'])) {
+  console.error('❌ --watch and --webhook run the sync and cannot be combined with commands, --import or --dry-run');
+  process.exit(1);
+}
 
 // Load environment variables from .env file
 dotenv.config();
@@ -26,223 +122,332 @@ const FASTLY_API_TOKEN = process.env.FASTLY_API_TOKEN;
 const SPLIT_SDK_KEY = process.env.SPLIT_SDK_KEY;
 const KV_STORE_ID = process.env.KV_STORE_ID;
 
-if (!FASTLY_API_TOKEN || !SPLIT_SDK_KEY || !KV_STORE_ID) {
+// The Fastly credentials are only needed to reach a real KV Store,
+// and the SDK key only to run the Synchronizer
+const needsFastly = options.import || options.target === 'kv';
+const needsSdkKey = !command && !options.import && !options['flags-file'];
+
+// Snapshots are opt-in
+const snapshotRetention = Math.max(0, parseInt(process.env.SNAPSHOT_RETENTION, 10) || 0);
+
+if ((needsFastly && (!FASTLY_API_TOKEN || !KV_STORE_ID)) || (needsSdkKey && !SPLIT_SDK_KEY)) {
   console.error('❌ Missing required environment variables:');
-  console.error('   FASTLY_API_TOKEN - Your Fastly API token');
-  console.error('   SPLIT_SDK_KEY - Your Harness FME SDK key');
-  console.error('   KV_STORE_ID - Your Fastly KV Store ID');
+  if (needsFastly) console.error('   FASTLY_API_TOKEN - Your Fastly API token');
+  if (needsSdkKey) console.error('   SPLIT_SDK_KEY - Your Harness FME SDK key');
+  if (needsFastly) console.error('   KV_STORE_ID - Your Fastly KV Store ID');
   process.exit(1);
 }
 
 /**
- * Fastly KV Store wrapper that implements Harness FME's complete storage interface
+ * Storage wrapper for the selected target
  */
-function createFastlyKVWrapper(storeId, apiToken) {
-  const baseUrl = `https://api.fastly.com/resources/stores/kv/${storeId}`;
-
-  const headers = {
-    'Fastly-Key': apiToken,
-    'Content-Type': 'application/json'
-  };
-
-  async function getValue(key) {
-    try {
-      const response = await fetch(`${baseUrl}/keys/${encodeURIComponent(key)}`, {
-        headers: { 'Fastly-Key': apiToken }
-      });
-
-      if (response.status === 404) {
-        return null;
-      }
-
-      if (!response.ok) {
-        throw new Error(`Fastly KV get failed: ${response.statusText}`);
-      }
-
-      const text = await response.text();
-      return text ? JSON.parse(text) : null;
-    } catch (error) {
-      console.error(`Error getting key ${key}:`, error.message);
-      return null;
-    }
+function createTargetWrapper() {
+  if (options.target === 'local-file') {
+    return createFileKVWrapper(options.file);
   }
+  return createFastlyKVWrapper(KV_STORE_ID, FASTLY_API_TOKEN, kvOptionsFromEnv());
+}
 
-  async function setValue(key, value) {
-    try {
-      const response = await fetch(`${baseUrl}/keys/${encodeURIComponent(key)}`, {
-        method: 'PUT',
-        headers,
-        body: JSON.stringify(value)
-      });
-
-      if (!response.ok) {
-        throw new Error(`Fastly KV set failed: ${response.statusText}`);
-      }
+function describeTarget() {
+  return options.target === 'local-file' ? `Local file: ${options.file}` : `KV Store ID: ${KV_STORE_ID}`;
+}
 
-      return true;
-    } catch (error) {
-      console.error(`Error setting key ${key}:`, error.message);
-      return false;
-    }
-  }
+function describeSource() {
+  return options['flags-file']
+    ? `Flags file: ${options['flags-file']}`
+    : `Harness FME SDK Key: ${SPLIT_SDK_KEY.substring(0, 10)}...`;
+}
 
-  return {
-    async get(key) {
-      return getValue(key);
+/**
+ * Run the Synchronizer once against the given storage wrapper
+ */
+function runSynchronizer(wrapper) {
+  const synchronizer = new Synchronizer({
+    core: {
+      authorizationKey: SPLIT_SDK_KEY
     },
-
-    async set(key, value) {
-      return setValue(key, value);
+    storage: {
+      type: 'PLUGGABLE',
+      wrapper
     },
-
-    async getAndSet(key, value) {
-      const oldValue = await getValue(key);
-      await setValue(key, value);
-      return oldValue;
+    synchronizerConfigs: {
+      // Flags and segments, then the impressions and events queued by the
+      // Compute service (see src/kvQueue.js), which are posted to Harness FME
+      synchronizerMode: 'MODE_RUN_ALL'
     },
+    debug: 'ERROR'
+  });
 
-    async del(key) {
-      try {
-        const response = await fetch(`${baseUrl}/keys/${encodeURIComponent(key)}`, {
-          method: 'DELETE',
-          headers: { 'Fastly-Key': apiToken }
-        });
-
-        if (response.ok || response.status === 404) {
-          return true;
-        }
-
-        throw new Error(`Fastly KV delete failed: ${response.statusText}`);
-      } catch (error) {
-        console.error(`Error deleting key ${key}:`, error.message);
-        return false;
+  return new Promise((resolve, reject) => {
+    synchronizer.execute((error) => {
+      if (error) {
+        console.error('❌ Synchronization failed:', error.message);
+        reject(error);
+      } else {
+        resolve();
       }
-    },
+    });
+  });
+}
 
-    async getKeysByPrefix(prefix) {
-      try {
-        const response = await fetch(`${baseUrl}/keys?prefix=${encodeURIComponent(prefix)}`, {
-          headers: { 'Fastly-Key': apiToken }
-        });
-
-        if (!response.ok) {
-          throw new Error(`Fastly KV list failed: ${response.statusText}`);
-        }
-
-        const data = await response.json();
-        return data.data ? data.data.map(item => item.key) : [];
-      } catch (error) {
-        console.error(`Error listing keys with prefix ${prefix}:`, error.message);
-        return [];
-      }
-    },
+/**
+ * Write flag data through the wrapper, from the flags file if one was given
+ * and from Harness FME otherwise
+ */
+async function populate(wrapper) {
+  if (!options['flags-file']) {
+    return runSynchronizer(wrapper);
+  }
+  const records = buildLocalRecords(loadFlagsFile(options['flags-file']));
+  const { unchanged } = await writeLocalRecords(wrapper, records);
+  if (unchanged) {
+    console.log('   Flags file unchanged since the last sync, nothing to write');
+  }
+}
 
-    async getMany(keys) {
-      const results = await Promise.all(
-        keys.map(key => getValue(key))
-      );
-      return results;
-    },
+/**
+ * Throw if any KV Store request failed after all retries, listing the keys
+ */
+function assertNoFailures(kvWrapper) {
+  if (!kvWrapper.getFailures) return;
+  const failures = kvWrapper.getFailures();
+  if (failures.length === 0) return;
+
+  console.error(`❌ ${failures.length} Fastly KV Store operation(s) failed after retries:`);
+  failures.forEach(({ operation, key, error }) => {
+    console.error(`   ${operation} ${key}: ${error}`);
+  });
+  throw new Error('Fastly KV Store is incomplete, see the failed keys above');
+}
 
-    async incr(key, increment = 1) {
-      const current = await getValue(key);
-      const newValue = (current || 0) + increment;
-      await setValue(key, newValue);
-      return newValue;
-    },
+/**
+ * Print how many KV Store API requests were sent, and how many the wrapper
+ * saved by skipping unchanged writes, batching writes and sharing reads
+ */
+function logRequestSummary(kvWrapper) {
+  const stats = kvWrapper.getStats();
+  if (stats.requests === undefined) return;
 
-    async decr(key, decrement = 1) {
-      const current = await getValue(key);
-      const newValue = (current || 0) - decrement;
-      await setValue(key, newValue);
-      return newValue;
-    },
+  const { requests, retries, requestsSaved, unchangedWrites, skippedDeletes, batches } = stats;
+  console.log(`📉 KV Store API: ${requests} request(s) sent${retries ? ` (${retries} retries)` : ''}, ${requestsSaved} saved`);
+  console.log(`   ${unchangedWrites} unchanged write(s) and ${skippedDeletes} delete(s) of missing keys skipped, ${batches} batch write(s)`);
+}
 
-    async itemContains(key, item) {
-      const set = await getValue(key);
-      return set && Array.isArray(set) ? set.includes(item) : false;
-    },
+/**
+ * Main synchronization function
+ * Resolves with { skipped, version, keysWritten, keysDeleted } for the watch daemon
+ */
+async function syncHarnessFMEToFastly() {
+  console.log('🔄 Starting Harness FME → Fastly KV Store synchronization...');
+  console.log(`   ${describeTarget()}`);
+  console.log(`   ${describeSource()}`);
+  console.log('');
 
-    async addItems(key, items) {
-      const set = await getValue(key) || [];
-      const updatedSet = [...new Set([...set, ...items])];
-      await setValue(key, updatedSet);
-    },
+  const kvWrapper = createTargetWrapper();
 
-    async removeItems(key, items) {
-      const set = await getValue(key);
-      if (set && Array.isArray(set)) {
-        const updatedSet = set.filter(item => !items.includes(item));
-        await setValue(key, updatedSet);
-      }
-    },
+  const currentManifest = await kvWrapper.get(MANIFEST_KEY);
+  if (isRolledBack(currentManifest) && !options.resume) {
+    const { snapshot, at } = currentManifest.rollback;
+    console.warn(`⏸️  Rolled back to snapshot ${snapshot} at ${at}, skipping the sync`);
+    console.warn('   Run with --resume to sync and switch back to the latest data');
+    return { skipped: true, version: currentManifest.version, keysWritten: 0, keysDeleted: 0 };
+  }
 
-    async getItems(key) {
-      const set = await getValue(key);
-      return set && Array.isArray(set) ? set : [];
-    },
+  await populate(kvWrapper);
+  await kvWrapper.flush();
+  // Never publish a manifest for a partially written dataset
+  assertNoFailures(kvWrapper);
 
-    async connect() {
-      // No-op for Fastly KV Store API
-    },
+  // Describe the synced dataset so the edge can report its version and freshness
+  const manifest = await buildManifest(kvWrapper);
+  if (!await kvWrapper.set(MANIFEST_KEY, manifest) || !await kvWrapper.flush()) {
+    throw new Error(`Could not write ${MANIFEST_KEY} to Fastly KV Store`);
+  }
+  const { writes: keysWritten, deletes: keysDeleted } = kvWrapper.getStats();
+
+  console.log('✅ Synchronization completed successfully!');
+  console.log(`   Flags version: ${manifest.version} (${manifest.counts.flags} flags, ${manifest.counts.segments} segments)`);
+  if (options.target === 'local-file') {
+    console.log(`   Feature flag data has been written to ${options.file}`);
+    console.log('   Run `npm start` to evaluate feature flags with the local server');
+  } else {
+    console.log('   Feature flag data has been written to Fastly KV Store');
+    console.log('   Your Fastly Compute service can now evaluate feature flags');
+  }
+  if (isRolledBack(currentManifest)) {
+    console.log(`   Resumed from rollback to snapshot ${currentManifest.rollback.snapshot}`);
+  }
 
-    async disconnect() {
-      // No-op for Fastly KV Store API
-    },
+  if (snapshotRetention > 0) {
+    const { id, created, removed } = await createSnapshot(kvWrapper, manifest, { retention: snapshotRetention });
+    assertNoFailures(kvWrapper);
+    console.log(created ? `   Snapshot ${id} saved` : `   Snapshot ${id} already exists`);
+    if (removed.length > 0) {
+      console.log(`   Removed old snapshots: ${removed.join(', ')}`);
+    }
+  }
+  await kvWrapper.disconnect();
+  logRequestSummary(kvWrapper);
 
-    async pushItems(key, items) {
-      // No-op - not needed for synchronization
-    },
+  return { skipped: false, version: manifest.version, keysWritten, keysDeleted };
+}
 
-    async popItems(key, count) {
-      return [];
-    },
+/**
+ * Import: push every key of a local KV Store file to Fastly KV Store
+ * The manifest is written last, once everything else is in place.
+ */
+async function importLocalFile() {
+  console.log('📤 Importing local KV Store file → Fastly KV Store...');
+  console.log(`   File: ${options.file}`);
+  console.log(`   KV Store ID: ${KV_STORE_ID}`);
+  console.log('');
+
+  const fileWrapper = createFileKVWrapper(options.file);
+  const keys = fileWrapper.keys();
+  if (keys.length === 0) {
+    throw new Error(`No keys found in ${options.file}`);
+  }
 
-    async getItemsCount(key) {
-      return 0;
+  const kvWrapper = createFastlyKVWrapper(KV_STORE_ID, FASTLY_API_TOKEN, kvOptionsFromEnv());
+  const dataKeys = keys.filter(key => key !== MANIFEST_KEY);
+  const values = await fileWrapper.getMany(dataKeys);
+  await Promise.all(dataKeys.map((key, index) => kvWrapper.set(key, values[index])));
+  await kvWrapper.flush();
+  assertNoFailures(kvWrapper);
+
+  if (keys.includes(MANIFEST_KEY)) {
+    const manifest = await fileWrapper.get(MANIFEST_KEY);
+    if (!await kvWrapper.set(MANIFEST_KEY, manifest) || !await kvWrapper.flush()) {
+      throw new Error(`Could not write ${MANIFEST_KEY} to Fastly KV Store`);
     }
-  };
+  }
+
+  console.log(`✅ Imported ${keys.length} keys into Fastly KV Store`);
+  logRequestSummary(kvWrapper);
 }
 
 /**
- * Main synchronization function
+ * List the snapshots kept in the target store
  */
-async function syncHarnessFMEToFastly() {
-  console.log('🔄 Starting Harness FME → Fastly KV Store synchronization...');
-  console.log(`   KV Store ID: ${KV_STORE_ID}`);
-  console.log(`   Harness FME SDK Key: ${SPLIT_SDK_KEY.substring(0, 10)}...`);
+async function listSnapshotsCommand() {
+  const kvWrapper = createTargetWrapper();
+  const [snapshots, manifest] = await Promise.all([listSnapshots(kvWrapper), kvWrapper.get(MANIFEST_KEY)]);
+  assertNoFailures(kvWrapper);
+
+  if (snapshots.length === 0) {
+    console.log(snapshotRetention > 0
+      ? 'No snapshots yet. One is saved after every sync that changes the data.'
+      : 'No snapshots. Set SNAPSHOT_RETENTION to save one after every sync that changes the data.');
+    return;
+  }
+
+  const activeId = isRolledBack(manifest) ? manifest.rollback.snapshot : null;
+  console.log(`📸 ${snapshots.length} snapshot(s), newest first (${describeTarget()}):`);
+  snapshots.forEach(({ id, manifest: snapshotManifest }) => {
+    const { counts, timestamp } = snapshotManifest;
+    const marker = id === activeId ? '  ← active (rolled back)' : '';
+    console.log(`   ${id}  synced ${timestamp}  ${counts.flags} flags, ${counts.segments} segments${marker}`);
+  });
+}
+
+/**
+ * Roll back: point the edge at a snapshot
+ */
+async function rollbackCommand(id) {
+  console.log(`⏪ Rolling back to snapshot ${id}...`);
+  console.log(`   ${describeTarget()}`);
   console.log('');
 
-  const kvWrapper = createFastlyKVWrapper(KV_STORE_ID, FASTLY_API_TOKEN);
+  const kvWrapper = createTargetWrapper();
+  const manifest = await rollbackToSnapshot(kvWrapper, id);
+  assertNoFailures(kvWrapper);
+  await kvWrapper.disconnect();
 
-  const synchronizer = new Synchronizer({
-    core: {
-      authorizationKey: SPLIT_SDK_KEY
-    },
-    storage: {
-      type: 'PLUGGABLE',
-      wrapper: kvWrapper
-    },
-    debug: 'ERROR'
-  });
+  console.log('✅ Rollback completed');
+  console.log(`   Flags version: ${manifest.version} (synced ${manifest.rollback.syncedAt})`);
+  console.log('   Syncs are paused until one is run with --resume');
+}
 
-  return new Promise((resolve, reject) => {
-    synchronizer.execute((error) => {
-      if (error) {
-        console.error('❌ Synchronization failed:', error.message);
-        reject(error);
-      } else {
-        console.log('✅ Synchronization completed successfully!');
-        console.log('   Feature flag data has been written to Fastly KV Store');
-        console.log('   Your Fastly Compute service can now evaluate feature flags');
-        resolve();
-      }
-    });
+/**
+ * Dry run: sync into a recording wrapper and print the diff against KV Store
+ */
+async function dryRunSync() {
+  // Keep stdout clean for the JSON diff
+  const log = options.json ? console.error : console.log;
+  log('🔍 Dry run: Harness FME → Fastly KV Store (nothing will be written)...');
+  log(`   ${describeTarget()}`);
+  log(`   ${describeSource()}`);
+  log('');
+
+  const kvWrapper = createTargetWrapper();
+  const recordingWrapper = createRecordingWrapper(kvWrapper);
+
+  await populate(recordingWrapper);
+
+  const diff = await computeDiff(kvWrapper, recordingWrapper.getChanges());
+  // A diff built from failed reads would be misleading
+  assertNoFailures(kvWrapper);
+  if (options.json) {
+    console.log(JSON.stringify(diff, null, 2));
+  } else {
+    console.log(formatDiff(diff));
+    console.log('');
+    console.log('✅ Dry run completed, no changes were written');
+  }
+}
+
+/**
+ * Watch mode: sync on an interval until SIGTERM/SIGINT,
+ * and on Harness FME change webhooks with --webhook
+ */
+function watchSync() {
+  const intervalSeconds = Number(options.interval ?? process.env.SYNC_INTERVAL_SECONDS ?? 300);
+  const port = Number(options.port ?? process.env.SYNC_HEALTH_PORT ?? 9090);
+  if (!Number.isFinite(intervalSeconds) || intervalSeconds <= 0) {
+    throw new Error(`Invalid sync interval "${options.interval ?? process.env.SYNC_INTERVAL_SECONDS}"`);
+  }
+  if (!Number.isInteger(port) || port < 0) {
+    throw new Error(`Invalid health port "${options.port ?? process.env.SYNC_HEALTH_PORT}"`);
+  }
+
+  const daemon = createSyncDaemon({
+    runOnce: syncHarnessFMEToFastly,
+    intervalMs: intervalSeconds * 1000,
+    port
   });
+
+  if (options.webhook) {
+    if (!port) {
+      throw new Error('--webhook needs the health port, set --port or SYNC_HEALTH_PORT to a non-zero value');
+    }
+    if (!process.env.WEBHOOK_SECRET) {
+      throw new Error('--webhook requires the WEBHOOK_SECRET environment variable');
+    }
+    daemon.route('POST', '/webhook', createWebhookHandler({
+      secret: process.env.WEBHOOK_SECRET,
+      debounceMs: Number(process.env.WEBHOOK_DEBOUNCE_MS) || undefined,
+      onSync: (reason) => daemon.trigger(reason)
+    }));
+    console.log(`📮 Accepting Harness FME webhooks on POST /webhook (port ${port})`);
+  }
+
+  return daemon.start();
+}
+
+/**
+ * Pick the command for the given options
+ */
+function run() {
+  if (command === 'snapshots') return listSnapshotsCommand();
+  if (command === 'rollback') return rollbackCommand(commandArgs[0]);
+  if (options.import) return importLocalFile();
+  if (options['dry-run']) return dryRunSync();
+  if (options.watch || options.webhook) return watchSync();
+  return syncHarnessFMEToFastly();
 }
 
 // Run the sync
-syncHarnessFMEToFastly()
+run()
   .then(() => process.exit(0))
   .catch((error) => {
     console.error('Fatal error:', error);
@@ -0,0 +1,228 @@
+/**
+ * Continuous sync daemon (`--watch`)
+ *
+ * Runs a sync every `intervalMs` in a long-lived process, e.g. as a container
+ * sidecar instead of cron. A tick that arrives while a sync is still running is
+ * skipped, so runs never overlap. Runs requested through trigger() (e.g. by a
+ * webhook) are never dropped: if a sync is running, one more run follows it.
+ * SIGTERM and SIGINT stop the schedule, wait for the running sync to finish and
+ * close the HTTP server.
+ *
+ * The HTTP server exposes:
+ * - GET /healthz  JSON state, 200 while the last successful sync is recent
+ *                 (within `staleAfterMs`), 503 otherwise
+ * - GET /metrics  The same state in the Prometheus text format
+ * plus any routes added with route().
+ */
+
+import http from 'node:http';
+
+// How long shutdown waits for a running sync before giving up
+const SHUTDOWN_TIMEOUT_MS = 60000;
+
+/**
+ * Prometheus text exposition of the daemon state
+ */
+function formatMetrics(state) {
+  const seconds = (ms) => (ms === null ? NaN : ms / 1000);
+  const metrics = [
+    ['sync_runs_total', 'counter', 'Sync runs started', state.runs],
+    ['sync_failures_total', 'counter', 'Sync runs that failed', state.failures],
+    ['sync_skipped_total', 'counter', 'Interval ticks skipped because a sync was still running', state.skipped],
+    ['sync_triggered_total', 'counter', 'Syncs requested outside the interval, e.g. by webhooks', state.triggered],
+    ['sync_running', 'gauge', 'Whether a sync is running', state.running ? 1 : 0],
+    ['sync_last_success_timestamp_seconds', 'gauge', 'Time of the last successful sync', seconds(state.lastSuccessAt)],
+    ['sync_last_error_timestamp_seconds', 'gauge', 'Time of the last failed sync', seconds(state.lastError ? state.lastError.at : null)],
+    ['sync_last_duration_seconds', 'gauge', 'Duration of the last finished sync', seconds(state.lastRun ? state.lastRun.durationMs : null)],
+    ['sync_last_keys_written', 'gauge', 'Keys written by the last successful sync', state.lastKeysWritten ?? NaN]
+  ];
+
+  return metrics.map(([name, type, help, value]) => (
+    `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n${name} ${Number.isNaN(value) ? 'NaN' : value}\n`
+  )).join('');
+}
+
+/**
+ * Create the daemon
+ * runOnce() performs one sync and resolves with { keysWritten, keysDeleted, version }.
+ */
+export function createSyncDaemon({ runOnce, intervalMs, port, host = '0.0.0.0', staleAfterMs = intervalMs * 3 }) {
+  const state = {
+    running: false,
+    runs: 0,
+    failures: 0,
+    skipped: 0,
+    triggered: 0,
+    lastSuccessAt: null,
+    lastError: null,
+    lastRun: null,
+    lastKeysWritten: null
+  };
+  let currentRun = null;
+  let rerunRequested = false;
+  let stopping = false;
+  let timer = null;
+  let server = null;
+  // 'METHOD /path' -> handler(req, res)
+  const routes = new Map();
+
+  async function runSync() {
+    state.running = true;
+    state.runs++;
+    const startedAt = Date.now();
+
+    try {
+      const result = await runOnce();
+      state.lastSuccessAt = Date.now();
+      state.lastRun = { startedAt, durationMs: Date.now() - startedAt, ...result };
+      state.lastKeysWritten = result.keysWritten;
+    } catch (error) {
+      state.failures++;
+      state.lastError = { at: Date.now(), message: error.message };
+      state.lastRun = { startedAt, durationMs: Date.now() - startedAt, error: error.message };
+      console.error(`❌ Sync failed: ${error.message}`);
+    } finally {
+      state.running = false;
+    }
+  }
+
+  /**
+   * Start a sync, followed by one more if a run was triggered meanwhile
+   */
+  function startRun() {
+    currentRun = runSync().then(() => {
+      currentRun = null;
+      if (rerunRequested && !stopping) {
+        rerunRequested = false;
+        startRun();
+      }
+    });
+    return currentRun;
+  }
+
+  /**
+   * Start a sync unless one is already running
+   */
+  function tick() {
+    if (currentRun) {
+      state.skipped++;
+      console.warn('⏭️  Previous sync still running, skipping this interval');
+      return currentRun;
+    }
+    return startRun();
+  }
+
+  /**
+   * Request a sync now, or right after the running one
+   */
+  function trigger(reason) {
+    if (stopping) return;
+    state.triggered++;
+    if (currentRun) {
+      console.log(`🔔 Sync requested (${reason}), queued after the running sync`);
+      rerunRequested = true;
+      return;
+    }
+    console.log(`🔔 Sync requested (${reason})`);
+    startRun();
+  }
+
+  function health() {
+    const age = state.lastSuccessAt === null ? null : Date.now() - state.lastSuccessAt;
+    const healthy = age !== null && age <= staleAfterMs;
+    return {
+      healthy,
+      running: state.running,
+      intervalSeconds: intervalMs / 1000,
+      runs: state.runs,
+      failures: state.failures,
+      skipped: state.skipped,
+      triggered: state.triggered,
+      lastSuccessAt: state.lastSuccessAt === null ? null : new Date(state.lastSuccessAt).toISOString(),
+      lastError: state.lastError && { ...state.lastError, at: new Date(state.lastError.at).toISOString() },
+      lastRun: state.lastRun && { ...state.lastRun, startedAt: new Date(state.lastRun.startedAt).toISOString() }
+    };
+  }
+
+  function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = routes.get(`${req.method} ${pathname}`);
+    if (route) {
+      // A failing handler must not take the daemon down
+      Promise.resolve()
+        .then(() => route(req, res))
+        .catch((error) => {
+          console.error(`❌ Error handling ${req.method} ${pathname}:`, error.message);
+          if (!res.headersSent) {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+          }
+          res.end();
+        });
+    } else if (req.method === 'GET' && pathname === '/healthz') {
+      const body = health();
+      res.writeHead(body.healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body, null, 2));
+    } else if (req.method === 'GET' && pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(formatMetrics(state));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+    }
+  }
+
+  async function stop() {
+    stopping = true;
+    clearInterval(timer);
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+    }
+    if (currentRun) {
+      console.log('   Waiting for the running sync to finish...');
+      const timeout = new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT_MS).unref());
+      await Promise.race([currentRun, timeout]);
+    }
+  }
+
+  return {
+    /**
+     * Run until SIGTERM or SIGINT, resolving once shut down
+     */
+    async start() {
+      if (port) {
+        server = http.createServer(handleRequest);
+        await new Promise((resolve, reject) => {
+          server.once('error', reject);
+          server.listen(port, host, resolve);
+        });
+        console.log(`🩺 Health and metrics on http://${host}:${port}/healthz and /metrics`);
+      }
+
+      console.log(`👀 Syncing every ${intervalMs / 1000}s, press Ctrl+C to stop`);
+      tick();
+      timer = setInterval(tick, intervalMs);
+
+      await new Promise((resolve) => {
+        const shutdown = (signal) => {
+          console.log(`🛑 Received ${signal}, shutting down...`);
+          process.off('SIGTERM', shutdown);
+          process.off('SIGINT', shutdown);
+          stop().then(resolve);
+        };
+        process.on('SIGTERM', shutdown);
+        process.on('SIGINT', shutdown);
+      });
+    },
+
+    trigger,
+
+    /**
+     * Serve an extra route on the health server
+     */
+    route(method, path, handler) {
+      routes.set(`${method} ${path}`, handler);
+    },
+
+    health
+  };
+}
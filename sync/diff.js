@@ -0,0 +1,131 @@
+/**
+ * Diff between the current KV Store contents and the changes a sync would make
+ *
+ * Used by `--dry-run` to review a sync before it is applied. The Synchronizer
+ * stores flag definitions as JSON strings and segments as arrays of keys, so
+ * flag changes are reported per top-level field and segment changes as
+ * membership deltas.
+ */
+
+const FLAG_PREFIX = 'SPLITIO.split.';
+const SEGMENT_PREFIX = 'SPLITIO.segment.';
+
+// Number of segment members listed per segment in the text output
+const MAX_LISTED_MEMBERS = 10;
+
+function parseDefinition(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Top-level fields that differ between two flag definitions
+ */
+function changedFields(before, after) {
+  if (!before || !after || typeof before !== 'object' || typeof after !== 'object') return [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields].filter(field => !isSameValue(before[field], after[field])).sort();
+}
+
+function isSegmentKey(key) {
+  return key.startsWith(SEGMENT_PREFIX) && !key.endsWith('.till');
+}
+
+/**
+ * Compare recorded changes ({ written, deleted }) against the base wrapper
+ */
+export async function computeDiff(baseWrapper, { written, deleted }) {
+  const keys = [...new Set([...written.keys(), ...deleted])].sort();
+  const baseValues = await baseWrapper.getMany(keys);
+
+  const diff = {
+    flags: { added: [], changed: [], removed: [] },
+    segments: [],
+    deletedKeys: [],
+    otherKeys: [],
+    summary: { keysWritten: 0, keysDeleted: 0, keysUnchanged: 0 }
+  };
+
+  keys.forEach((key, index) => {
+    const before = baseValues[index] ?? null;
+    const after = written.has(key) ? written.get(key) : null;
+
+    if (isSameValue(before, after)) {
+      diff.summary.keysUnchanged++;
+      return;
+    }
+    if (after === null) {
+      diff.summary.keysDeleted++;
+      diff.deletedKeys.push(key);
+    } else {
+      diff.summary.keysWritten++;
+    }
+
+    if (key.startsWith(FLAG_PREFIX)) {
+      const name = key.slice(FLAG_PREFIX.length);
+      if (before === null) {
+        diff.flags.added.push(name);
+      } else if (after === null) {
+        diff.flags.removed.push(name);
+      } else {
+        diff.flags.changed.push({ name, fields: changedFields(parseDefinition(before), parseDefinition(after)) });
+      }
+    } else if (isSegmentKey(key)) {
+      const beforeMembers = new Set(Array.isArray(before) ? before : []);
+      const afterMembers = new Set(Array.isArray(after) ? after : []);
+      diff.segments.push({
+        name: key.slice(SEGMENT_PREFIX.length),
+        added: [...afterMembers].filter(member => !beforeMembers.has(member)),
+        removed: [...beforeMembers].filter(member => !afterMembers.has(member))
+      });
+    } else if (after !== null) {
+      diff.otherKeys.push(key);
+    }
+  });
+
+  return diff;
+}
+
+function formatMembers(members) {
+  const listed = members.slice(0, MAX_LISTED_MEMBERS).join(', ');
+  return members.length > MAX_LISTED_MEMBERS ? `${listed}, … (${members.length - MAX_LISTED_MEMBERS} more)` : listed;
+}
+
+/**
+ * Human-readable rendering of a diff
+ */
+export function formatDiff(diff) {
+  const lines = [];
+  const { flags, segments } = diff;
+
+  lines.push(`Feature flags: ${flags.added.length} added, ${flags.changed.length} changed, ${flags.removed.length} removed`);
+  flags.added.forEach(name => lines.push(`   + ${name}`));
+  flags.changed.forEach(({ name, fields }) => lines.push(`   ~ ${name}${fields.length ? ` (${fields.join(', ')})` : ''}`));
+  flags.removed.forEach(name => lines.push(`   - ${name}`));
+
+  lines.push(`Segments: ${segments.length} with membership changes`);
+  segments.forEach(({ name, added, removed }) => {
+    lines.push(`   ~ ${name}: +${added.length} -${removed.length}`);
+    if (added.length) lines.push(`       added: ${formatMembers(added)}`);
+    if (removed.length) lines.push(`       removed: ${formatMembers(removed)}`);
+  });
+
+  lines.push(`Keys that would be deleted: ${diff.deletedKeys.length}`);
+  diff.deletedKeys.forEach(key => lines.push(`   - ${key}`));
+
+  lines.push(`Other keys that would change: ${diff.otherKeys.length}`);
+  diff.otherKeys.forEach(key => lines.push(`   ~ ${key}`));
+
+  const { keysWritten, keysDeleted, keysUnchanged } = diff.summary;
+  lines.push(`Summary: ${keysWritten} writes, ${keysDeleted} deletes, ${keysUnchanged} unchanged`);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,614 @@
+/**
+ * Fastly KV Store REST API wrapper for the Split Synchronizer
+ *
+ * Runs in Node.js (outside of Fastly Compute) and talks to the KV Store
+ * through https://api.fastly.com/resources/stores/kv/<storeId>.
+ *
+ * Requests are retried on network errors, 429 and 5xx responses with
+ * exponential backoff and full jitter, honouring Retry-After when present.
+ * At most `concurrency` requests are in flight at once. Operations that still
+ * fail after all retries are recorded and returned by getFailures(), so the
+ * caller can fail the sync instead of reporting success.
+ *
+ * Key listings follow the `meta.next_cursor` of each page until the end of the
+ * listing, `listPageSize` keys at a time, with the requested `listConsistency`
+ * ('strong' or 'eventual').
+ *
+ * Writes are buffered and only sent by flush() (or disconnect()):
+ * - The wrapper keeps a fingerprint of every value it has read or written, and
+ *   skips writes and deletes that would not change anything.
+ * - Reads of buffered keys are served from the buffer, and concurrent reads of
+ *   the same key share one request, so addItems/removeItems on a segment cost a
+ *   single read however many times they are called.
+ * - Buffered values are sent with the batch KV API, `batchSize` keys per request,
+ *   falling back to one request per key if a batch is rejected. `.till` keys
+ *   (change numbers) are written after everything else.
+ *
+ * popItems and getItemsCount read the impression and event queues that the
+ * Compute service fills (see src/kvQueue.js), so the Synchronizer can post them
+ * to Harness FME.
+ */
+
+import { createHash } from 'node:crypto';
+import fetch from 'node-fetch';
+import { countQueuedItems, popQueuedItems, queueChunkKey, queueChunkPrefix } from '../src/kvQueue.js';
+
+const DEFAULT_OPTIONS = {
+  maxRetries: 5,
+  baseDelayMs: 250,
+  maxDelayMs: 30000,
+  concurrency: 8,
+  listPageSize: 1000,
+  listConsistency: 'strong',
+  batchSize: 500,
+  // fetch() implementation, replaceable in tests
+  fetch
+};
+
+// Upper bound on the body of a single batch request
+const MAX_BATCH_BYTES = 4 * 1024 * 1024;
+
+const LIST_CONSISTENCIES = ['strong', 'eventual'];
+
+/**
+ * Error for a request that failed after all retries
+ */
+export class KVRequestError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'KVRequestError';
+    this.status = status;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Limit the number of concurrently running async functions
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    fn().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  }
+
+  return function run(fn) {
+    return new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+  };
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function fingerprint(serialized) {
+  return createHash('sha1').update(serialized).digest('base64');
+}
+
+/**
+ * Split [key, serialized] entries into batches by count and body size
+ */
+function toBatches(entries, batchSize) {
+  const batches = [];
+  let batch = [];
+  let bytes = 0;
+  for (const entry of entries) {
+    const [key, serialized] = entry;
+    // NDJSON line: key, base64 value and the JSON around them
+    const entryBytes = Buffer.byteLength(key) + Math.ceil(Buffer.byteLength(serialized) * 4 / 3) + 32;
+    if (batch.length > 0 && (batch.length >= batchSize || bytes + entryBytes > MAX_BATCH_BYTES)) {
+      batches.push(batch);
+      batch = [];
+      bytes = 0;
+    }
+    batch.push(entry);
+    bytes += entryBytes;
+  }
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+}
+
+/**
+ * Read retry, concurrency, listing and batch settings from environment variables
+ */
+export function kvOptionsFromEnv(env = process.env) {
+  const options = {};
+  const settings = {
+    maxRetries: env.KV_MAX_RETRIES,
+    baseDelayMs: env.KV_RETRY_BASE_DELAY_MS,
+    maxDelayMs: env.KV_RETRY_MAX_DELAY_MS,
+    concurrency: env.KV_MAX_CONCURRENCY,
+    listPageSize: env.KV_LIST_PAGE_SIZE,
+    batchSize: env.KV_BATCH_SIZE
+  };
+  for (const [name, value] of Object.entries(settings)) {
+    const number = Number(value);
+    if (value !== undefined && value !== '' && Number.isFinite(number) && number >= 0) {
+      options[name] = number;
+    }
+  }
+  if (env.KV_LIST_CONSISTENCY) {
+    options.listConsistency = env.KV_LIST_CONSISTENCY;
+  }
+  return options;
+}
+
+/**
+ * Fastly KV Store wrapper that implements Harness FME's complete storage interface
+ */
+export function createFastlyKVWrapper(storeId, apiToken, options = {}) {
+  const {
+    maxRetries, baseDelayMs, maxDelayMs, concurrency, listPageSize, listConsistency, batchSize, fetch: fetchImpl
+  } = { ...DEFAULT_OPTIONS, ...options };
+  if (!LIST_CONSISTENCIES.includes(listConsistency)) {
+    throw new Error(`Invalid KV list consistency "${listConsistency}", expected one of: ${LIST_CONSISTENCIES.join(', ')}`);
+  }
+  const baseUrl = `https://api.fastly.com/resources/stores/kv/${storeId}`;
+  const limit = createLimiter(Math.max(1, concurrency));
+
+  // Operations that failed after all retries: { operation, key, error }
+  const failures = [];
+  // Request and write counters for this wrapper. naiveRequests counts the
+  // requests a write-through wrapper would have sent, for the savings summary.
+  const stats = {
+    requests: 0,
+    retries: 0,
+    writes: 0,
+    deletes: 0,
+    batches: 0,
+    unchangedWrites: 0,
+    skippedDeletes: 0,
+    naiveRequests: 0
+  };
+
+  // key -> fingerprint of the value in KV Store, or null if the key is known to be absent
+  const known = new Map();
+  // key -> serialized value waiting for flush()
+  const pending = new Map();
+  // key -> in-flight read shared by concurrent readers
+  const loads = new Map();
+
+  const headers = {
+    'Fastly-Key': apiToken,
+    'Content-Type': 'application/json'
+  };
+
+  /**
+   * Send a request, retrying throttled and failed attempts
+   * Resolves with the final response (which may still be an error status)
+   */
+  async function request(url, init = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      let retryAfterMs = null;
+      try {
+        stats.requests++;
+        response = await limit(() => fetchImpl(url, init));
+        if (!isRetryableStatus(response.status) || attempt >= maxRetries) {
+          return response;
+        }
+        retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        await response.text().catch(() => {});
+      } catch (error) {
+        if (attempt >= maxRetries) throw error;
+      }
+
+      const backoffMs = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delayMs = retryAfterMs !== null ? Math.min(retryAfterMs, maxDelayMs) : backoffMs;
+      const reason = response ? `HTTP ${response.status}` : 'network error';
+      console.warn(`   ⏳ ${init.method || 'GET'} ${url.slice(baseUrl.length)} failed (${reason}), retrying in ${Math.round(delayMs)}ms`);
+      stats.retries++;
+      await sleep(delayMs);
+    }
+  }
+
+  function recordFailure(operation, key, error) {
+    failures.push({ operation, key, error: error.message });
+    console.error(`Error ${operation} key ${key}:`, error.message);
+  }
+
+  /**
+   * Read and parse a value, or null if the key does not exist
+   * Throws if the request fails after all retries
+   */
+  async function readValue(key) {
+    const response = await request(`${baseUrl}/keys/${encodeURIComponent(key)}`, {
+      headers: { 'Fastly-Key': apiToken }
+    });
+
+    if (response.status === 404) {
+      known.set(key, null);
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new KVRequestError(`Fastly KV get failed: ${response.status} ${response.statusText}`, response.status);
+    }
+
+    const text = await response.text();
+    known.set(key, text ? fingerprint(text) : null);
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * Read a value, from the write buffer if it has a pending write
+   * Concurrent reads of the same key share one request.
+   */
+  function loadValue(key) {
+    if (pending.has(key)) {
+      return Promise.resolve(JSON.parse(pending.get(key)));
+    }
+    if (!loads.has(key)) {
+      loads.set(key, readValue(key).finally(() => loads.delete(key)));
+    }
+    return loads.get(key);
+  }
+
+  async function getValue(key) {
+    stats.naiveRequests++;
+    try {
+      return await loadValue(key);
+    } catch (error) {
+      recordFailure('getting', key, error);
+      return null;
+    }
+  }
+
+  /**
+   * Buffer a write, or drop it if KV Store already holds the same value
+   */
+  function bufferValue(key, value) {
+    const serialized = JSON.stringify(value);
+    if (known.get(key) === fingerprint(serialized)) {
+      pending.delete(key);
+      stats.unchangedWrites++;
+      return;
+    }
+    pending.set(key, serialized);
+  }
+
+  async function setValue(key, value) {
+    stats.naiveRequests++;
+    bufferValue(key, value);
+    return true;
+  }
+
+  /**
+   * Write one value with its own request
+   */
+  async function putValue(key, serialized) {
+    try {
+      const response = await request(`${baseUrl}/keys/${encodeURIComponent(key)}`, {
+        method: 'PUT',
+        headers,
+        body: serialized
+      });
+
+      if (!response.ok) {
+        throw new KVRequestError(`Fastly KV set failed: ${response.status} ${response.statusText}`, response.status);
+      }
+
+      known.set(key, fingerprint(serialized));
+      stats.writes++;
+      return true;
+    } catch (error) {
+      recordFailure('setting', key, error);
+      return false;
+    }
+  }
+
+  /**
+   * Write several values with one batch request
+   * Resolves to false if the batch was rejected, leaving the keys unwritten.
+   */
+  async function putBatch(entries) {
+    const body = entries
+      .map(([key, serialized]) => JSON.stringify({ key, value: Buffer.from(serialized).toString('base64') }))
+      .join('\n');
+    try {
+      const response = await request(`${baseUrl}/batch`, {
+        method: 'PUT',
+        headers: { 'Fastly-Key': apiToken, 'Content-Type': 'application/x-ndjson' },
+        body
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        console.warn(`   ⚠️  Batch write of ${entries.length} keys failed (${response.status} ${detail.slice(0, 200)}), writing them one by one`);
+        return false;
+      }
+    } catch (error) {
+      console.warn(`   ⚠️  Batch write of ${entries.length} keys failed (${error.message}), writing them one by one`);
+      return false;
+    }
+
+    entries.forEach(([key, serialized]) => known.set(key, fingerprint(serialized)));
+    stats.writes += entries.length;
+    stats.batches++;
+    return true;
+  }
+
+  /**
+   * Write entries in batches where possible. Resolves to true if all were written.
+   */
+  async function writeEntries(entries) {
+    if (entries.length === 0) return true;
+
+    const batches = batchSize > 1 && entries.length > 1 ? toBatches(entries, batchSize) : [];
+    const results = await Promise.all(batches.map(async (batch) => {
+      if (await putBatch(batch)) return [true];
+      return Promise.all(batch.map(([key, serialized]) => putValue(key, serialized)));
+    }));
+    if (batches.length === 0) {
+      results.push(await Promise.all(entries.map(([key, serialized]) => putValue(key, serialized))));
+    }
+    return results.flat().every(Boolean);
+  }
+
+  /**
+   * Send all buffered writes, change numbers (.till keys) last
+   * Resolves to true if every write succeeded.
+   */
+  async function flush() {
+    const entries = [...pending];
+    pending.clear();
+
+    const tills = entries.filter(([key]) => key.endsWith('.till'));
+    const data = entries.filter(([key]) => !key.endsWith('.till'));
+    const dataWritten = await writeEntries(data);
+    const tillsWritten = await writeEntries(tills);
+    return dataWritten && tillsWritten;
+  }
+
+  /**
+   * List every key with the given prefix, following the cursor across pages
+   * Throws if a page cannot be fetched after all retries
+   */
+  async function listKeys(prefix) {
+    const keys = [];
+    const seenCursors = new Set();
+    let cursor;
+
+    do {
+      const params = new URLSearchParams({
+        prefix,
+        limit: String(Math.max(1, listPageSize)),
+        consistency: listConsistency
+      });
+      if (cursor) params.set('cursor', cursor);
+
+      stats.naiveRequests++;
+      const response = await request(`${baseUrl}/keys?${params}`, {
+        headers: { 'Fastly-Key': apiToken }
+      });
+
+      if (!response.ok) {
+        throw new KVRequestError(`Fastly KV list failed: ${response.status} ${response.statusText}`, response.status);
+      }
+
+      const page = await response.json();
+      const pageKeys = Array.isArray(page.data) ? page.data : [];
+      keys.push(...pageKeys.map(item => (typeof item === 'string' ? item : item.key)));
+
+      cursor = page.meta && page.meta.next_cursor;
+
+      // Guard against a cursor that does not advance
+      if (cursor && seenCursors.has(cursor)) {
+        throw new KVRequestError(`Fastly KV listing did not advance past cursor ${cursor}`);
+      }
+      if (cursor) seenCursors.add(cursor);
+    } while (cursor);
+
+    return keys;
+  }
+
+  async function deleteValue(key) {
+    stats.naiveRequests++;
+    pending.delete(key);
+    if (known.has(key) && known.get(key) === null) {
+      stats.skippedDeletes++;
+      return true;
+    }
+    try {
+      const response = await request(`${baseUrl}/keys/${encodeURIComponent(key)}`, {
+        method: 'DELETE',
+        headers: { 'Fastly-Key': apiToken }
+      });
+
+      if (response.ok || response.status === 404) {
+        known.set(key, null);
+        stats.deletes++;
+        return true;
+      }
+
+      throw new KVRequestError(`Fastly KV delete failed: ${response.status} ${response.statusText}`, response.status);
+    } catch (error) {
+      recordFailure('deleting', key, error);
+      return false;
+    }
+  }
+
+  // Impression and event queue chunks (see src/kvQueue.js), written and removed
+  // right away instead of through the write buffer
+  const queueStore = {
+    list: listKeys,
+    async read(key) {
+      stats.naiveRequests++;
+      return readValue(key);
+    },
+    async write(key, items) {
+      stats.naiveRequests++;
+      if (!await putValue(key, JSON.stringify(items))) {
+        throw new Error(`Could not write queue chunk ${key}`);
+      }
+    },
+    async remove(key) {
+      if (!await deleteValue(key)) {
+        throw new Error(`Could not remove queue chunk ${key}`);
+      }
+    }
+  };
+
+  /**
+   * Read-modify-write of a set in the write buffer. The write is skipped if the
+   * read failed, so a transient error never overwrites a set with partial contents.
+   */
+  async function updateSet(key, update) {
+    // A write-through wrapper reads and writes the set on every call
+    stats.naiveRequests += 2;
+    let set;
+    try {
+      set = await loadValue(key);
+    } catch (error) {
+      recordFailure('updating', key, error);
+      return;
+    }
+    // Other updates of this key may have been buffered while the read was in flight
+    if (pending.has(key)) {
+      set = JSON.parse(pending.get(key));
+    }
+    const updatedSet = update(Array.isArray(set) ? set : null);
+    if (updatedSet) {
+      bufferValue(key, updatedSet);
+    }
+  }
+
+  return {
+    async get(key) {
+      return getValue(key);
+    },
+
+    async set(key, value) {
+      return setValue(key, value);
+    },
+
+    async getAndSet(key, value) {
+      const oldValue = await getValue(key);
+      await setValue(key, value);
+      return oldValue;
+    },
+
+    async del(key) {
+      return deleteValue(key);
+    },
+
+    async getKeysByPrefix(prefix) {
+      try {
+        const keys = await listKeys(prefix);
+        const listed = new Set(keys);
+        const buffered = [...pending.keys()].filter(key => key.startsWith(prefix) && !listed.has(key));
+        return [...keys, ...buffered];
+      } catch (error) {
+        recordFailure('listing', `${prefix}*`, error);
+        return [];
+      }
+    },
+
+    async getMany(keys) {
+      const results = await Promise.all(
+        keys.map(key => getValue(key))
+      );
+      return results;
+    },
+
+    async incr(key, increment = 1) {
+      const current = await getValue(key);
+      const newValue = (current || 0) + increment;
+      await setValue(key, newValue);
+      return newValue;
+    },
+
+    async decr(key, decrement = 1) {
+      const current = await getValue(key);
+      const newValue = (current || 0) - decrement;
+      await setValue(key, newValue);
+      return newValue;
+    },
+
+    async itemContains(key, item) {
+      const set = await getValue(key);
+      return set && Array.isArray(set) ? set.includes(item) : false;
+    },
+
+    async addItems(key, items) {
+      await updateSet(key, set => [...new Set([...(set || []), ...items])]);
+    },
+
+    async removeItems(key, items) {
+      await updateSet(key, set => set && set.filter(item => !items.includes(item)));
+    },
+
+    async getItems(key) {
+      const set = await getValue(key);
+      return set && Array.isArray(set) ? set : [];
+    },
+
+    async connect() {
+      // No-op for Fastly KV Store API
+    },
+
+    async disconnect() {
+      await flush();
+    },
+
+    async pushItems(key, items) {
+      if (items.length === 0) return;
+      await queueStore.write(queueChunkKey(key, items.length), items);
+    },
+
+    /**
+     * Pop impressions or events queued by the Compute service, for the Synchronizer to post
+     */
+    async popItems(key, count) {
+      return popQueuedItems(queueStore, key, count);
+    },
+
+    async getItemsCount(key) {
+      return countQueuedItems(await listKeys(queueChunkPrefix(key)));
+    },
+
+    /**
+     * Send buffered writes (not part of the Split storage interface)
+     */
+    flush,
+
+    /**
+     * Operations that failed after all retries (not part of the Split storage interface)
+     */
+    getFailures() {
+      return [...failures];
+    },
+
+    /**
+     * Request, retry, write and delete counters (not part of the Split storage interface)
+     */
+    getStats() {
+      const requestsSaved = Math.max(0, stats.naiveRequests - (stats.requests - stats.retries));
+      return { ...stats, requestsSaved, failures: failures.length };
+    }
+  };
+}
@@ -0,0 +1,179 @@
+/**
+ * File-backed storage wrapper for local development
+ *
+ * Reads and writes the JSON format that `fastly compute serve` loads for
+ * `local_server.kv_stores` in fastly.toml: an object mapping each key to its
+ * KV value as a string. Values are stored exactly as createFastlyKVWrapper
+ * sends them to the KV Store API (JSON-encoded), so the Compute service reads
+ * the same data locally as it does in production.
+ *
+ * Changes are kept in memory and written to the file by save() (or flush() and
+ * disconnect()).
+ */
+
+import fs from 'node:fs/promises';
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+
+// Default location of the local KV Store data, as configured in fastly.toml
+export const DEFAULT_LOCAL_KV_FILE = 'kv-store-data/split-storage';
+
+/**
+ * Load a local KV Store file into a Map of key -> raw string value
+ * Entries in the { data, metadata } object form are also accepted.
+ */
+function loadEntries(filePath) {
+  const entries = new Map();
+  if (!existsSync(filePath)) return entries;
+
+  const text = readFileSync(filePath, 'utf8');
+  const data = text.trim() ? JSON.parse(text) : {};
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${filePath} is not a KV Store JSON object`);
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    const raw = value && typeof value === 'object' ? value.data : value;
+    if (typeof raw !== 'string') {
+      throw new Error(`${filePath}: value of ${key} is not a string`);
+    }
+    entries.set(key, raw);
+  }
+  return entries;
+}
+
+export function createFileKVWrapper(filePath = DEFAULT_LOCAL_KV_FILE) {
+  const entries = loadEntries(filePath);
+  const stats = { writes: 0, deletes: 0 };
+  let dirty = false;
+
+  async function getValue(key) {
+    const raw = entries.get(key);
+    return raw === undefined ? null : JSON.parse(raw);
+  }
+
+  async function setValue(key, value) {
+    entries.set(key, JSON.stringify(value));
+    stats.writes++;
+    dirty = true;
+    return true;
+  }
+
+  /**
+   * Write the file if anything changed, replacing it atomically
+   */
+  async function save() {
+    if (!dirty) return;
+
+    const data = Object.fromEntries([...entries.keys()].sort().map(key => [key, entries.get(key)]));
+    const tmpPath = `${filePath}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, `${JSON.stringify(data, null, 2)}\n`);
+    await fs.rename(tmpPath, filePath);
+    dirty = false;
+  }
+
+  return {
+    async get(key) {
+      return getValue(key);
+    },
+
+    async set(key, value) {
+      return setValue(key, value);
+    },
+
+    async getAndSet(key, value) {
+      const oldValue = await getValue(key);
+      await setValue(key, value);
+      return oldValue;
+    },
+
+    async del(key) {
+      if (entries.delete(key)) dirty = true;
+      stats.deletes++;
+      return true;
+    },
+
+    async getKeysByPrefix(prefix) {
+      return [...entries.keys()].filter(key => key.startsWith(prefix));
+    },
+
+    async getMany(keys) {
+      return Promise.all(keys.map(key => getValue(key)));
+    },
+
+    async incr(key, increment = 1) {
+      const newValue = (await getValue(key) || 0) + increment;
+      await setValue(key, newValue);
+      return newValue;
+    },
+
+    async decr(key, decrement = 1) {
+      const newValue = (await getValue(key) || 0) - decrement;
+      await setValue(key, newValue);
+      return newValue;
+    },
+
+    async itemContains(key, item) {
+      const set = await getValue(key);
+      return set && Array.isArray(set) ? set.includes(item) : false;
+    },
+
+    async addItems(key, items) {
+      const set = await getValue(key) || [];
+      await setValue(key, [...new Set([...set, ...items])]);
+    },
+
+    async removeItems(key, items) {
+      const set = await getValue(key);
+      if (set && Array.isArray(set)) {
+        await setValue(key, set.filter(item => !items.includes(item)));
+      }
+    },
+
+    async getItems(key) {
+      const set = await getValue(key);
+      return set && Array.isArray(set) ? set : [];
+    },
+
+    async connect() {},
+
+    async disconnect() {
+      await save();
+    },
+
+    async pushItems(key, items) {},
+
+    async popItems(key, count) {
+      return [];
+    },
+
+    async getItemsCount(key) {
+      return 0;
+    },
+
+    save,
+
+    /**
+     * Same as save(), for callers written against createFastlyKVWrapper
+     */
+    async flush() {
+      await save();
+      return true;
+    },
+
+    /**
+     * Write and delete counters
+     */
+    getStats() {
+      return { ...stats };
+    },
+
+    /**
+     * All keys in the file, sorted
+     */
+    keys() {
+      return [...entries.keys()].sort();
+    }
+  };
+}
@@ -0,0 +1,275 @@
+/**
+ * File-defined feature flags (localhost mode)
+ *
+ * Converts feature flags and segments defined in a YAML or JSON file into the
+ * KV records the Synchronizer writes, so the Compute service evaluates them
+ * with the Harness FME SDK in consumer_partial mode exactly like synced data.
+ * No Harness account or SDK key is needed.
+ *
+ * File format (YAML shown, JSON uses the same structure):
+ *
+ *   flags:
+ *     new-checkout:
+ *       treatment: on             # shorthand for `rollout: { on: 100 }`
+ *     pricing-page:
+ *       trafficType: user         # default: user
+ *       defaultTreatment: off     # served when killed or no rule matches (default: off)
+ *       killed: false
+ *       sets: [frontend]          # flag sets
+ *       keys:                     # individual targets, treatment -> keys
+ *         on: [qa-user]
+ *       segments:                 # segment targets, treatment -> segments
+ *         on: [beta-users]
+ *       rollout:                  # default rule, treatment -> percentage
+ *         on: 20
+ *         off: 80
+ *       configs:                  # dynamic configs, treatment -> object or JSON string
+ *         on: { color: blue }
+ *   segments:
+ *     beta-users: [user-7, user-9]
+ *
+ * The change number is derived from the file contents, so syncing an unchanged
+ * file writes nothing and the edge keeps its cached SDK clients.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import yaml from 'js-yaml';
+
+const PREFIX = 'SPLITIO.';
+
+/**
+ * Error for an invalid flags file
+ */
+export class LocalFlagsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LocalFlagsError';
+  }
+}
+
+/**
+ * Read and parse a flags file (.json as JSON, anything else as YAML)
+ */
+export function loadFlagsFile(filePath) {
+  const text = readFileSync(filePath, 'utf8');
+  try {
+    return path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new LocalFlagsError(`Could not parse ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Deterministic 32-bit seed, so the same key always lands in the same bucket
+ */
+function seedFor(value) {
+  return createHash('sha256').update(value).digest().readInt32BE(0);
+}
+
+/**
+ * Change number of a parsed flags file: a hash of its contents
+ * Kept below the change numbers of Harness FME (millisecond timestamps), so a
+ * later sync from Harness FME fetches every flag instead of resuming from it.
+ */
+export function contentChangeNumber(definitions) {
+  return createHash('sha256').update(JSON.stringify(definitions)).digest().readUInt32BE(0) + 1;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a { treatment: [string] } map
+ */
+function treatmentLists(value, flagName, field) {
+  if (value === undefined) return {};
+  if (!isPlainObject(value)) {
+    throw new LocalFlagsError(`Flag ${flagName}: ${field} must map treatments to lists`);
+  }
+  for (const [treatment, list] of Object.entries(value)) {
+    if (!Array.isArray(list) || !list.every(item => typeof item === 'string' && item)) {
+      throw new LocalFlagsError(`Flag ${flagName}: ${field}.${treatment} must be a list of strings`);
+    }
+  }
+  return value;
+}
+
+/**
+ * Default rule partitions from `rollout` or the `treatment` shorthand
+ */
+function rolloutPartitions(flag, flagName, defaultTreatment) {
+  if (flag.rollout === undefined) {
+    return [{ treatment: String(flag.treatment ?? defaultTreatment), size: 100 }];
+  }
+  if (!isPlainObject(flag.rollout)) {
+    throw new LocalFlagsError(`Flag ${flagName}: rollout must map treatments to percentages`);
+  }
+  const partitions = Object.entries(flag.rollout).map(([treatment, size]) => {
+    if (!Number.isInteger(size) || size < 0 || size > 100) {
+      throw new LocalFlagsError(`Flag ${flagName}: rollout.${treatment} must be an integer between 0 and 100`);
+    }
+    return { treatment, size };
+  });
+  const total = partitions.reduce((sum, { size }) => sum + size, 0);
+  if (total !== 100) {
+    throw new LocalFlagsError(`Flag ${flagName}: rollout percentages add up to ${total}, expected 100`);
+  }
+  return partitions;
+}
+
+function condition(conditionType, matcher, partitions, label) {
+  return {
+    conditionType,
+    matcherGroup: { combiner: 'AND', matchers: [{ negate: false, ...matcher }] },
+    partitions,
+    label
+  };
+}
+
+/**
+ * Build the feature flag definition the SDK expects for one file entry
+ */
+function buildFlag(flagName, flag, { changeNumber, segmentNames }) {
+  if (flag === null || ['string', 'boolean', 'number'].includes(typeof flag)) {
+    flag = { treatment: flag };
+  }
+  if (!isPlainObject(flag)) {
+    throw new LocalFlagsError(`Flag ${flagName} must be an object or a treatment`);
+  }
+
+  const trafficType = flag.trafficType || 'user';
+  const defaultTreatment = String(flag.defaultTreatment ?? 'off');
+  const keys = treatmentLists(flag.keys, flagName, 'keys');
+  const segments = treatmentLists(flag.segments, flagName, 'segments');
+  const keySelector = { trafficType, attribute: null };
+  const conditions = [];
+
+  for (const [treatment, whitelist] of Object.entries(keys)) {
+    conditions.push(condition('WHITELIST', {
+      keySelector: null,
+      matcherType: 'WHITELIST',
+      whitelistMatcherData: { whitelist }
+    }, [{ treatment, size: 100 }], 'whitelisted'));
+  }
+
+  for (const [treatment, names] of Object.entries(segments)) {
+    names.forEach(segmentName => {
+      if (!segmentNames.has(segmentName)) {
+        throw new LocalFlagsError(`Flag ${flagName}: segment ${segmentName} is not defined under segments`);
+      }
+      conditions.push(condition('ROLLOUT', {
+        keySelector,
+        matcherType: 'IN_SEGMENT',
+        userDefinedSegmentMatcherData: { segmentName }
+      }, [{ treatment, size: 100 }], `in segment ${segmentName}`));
+    });
+  }
+
+  conditions.push(condition('ROLLOUT', {
+    keySelector,
+    matcherType: 'ALL_KEYS'
+  }, rolloutPartitions(flag, flagName, defaultTreatment), 'default rule'));
+
+  const configurations = {};
+  if (flag.configs !== undefined) {
+    if (!isPlainObject(flag.configs)) {
+      throw new LocalFlagsError(`Flag ${flagName}: configs must map treatments to configurations`);
+    }
+    for (const [treatment, config] of Object.entries(flag.configs)) {
+      configurations[treatment] = typeof config === 'string' ? config : JSON.stringify(config);
+    }
+  }
+
+  return {
+    name: flagName,
+    trafficTypeName: trafficType,
+    seed: seedFor(`${flagName}:seed`),
+    trafficAllocation: 100,
+    trafficAllocationSeed: seedFor(`${flagName}:trafficAllocation`),
+    status: 'ACTIVE',
+    killed: Boolean(flag.killed),
+    defaultTreatment,
+    changeNumber,
+    algo: 2,
+    conditions,
+    configurations,
+    sets: Array.isArray(flag.sets) ? flag.sets.map(String).sort() : []
+  };
+}
+
+/**
+ * Convert a parsed flags file into KV records: Map of key -> value as passed
+ * to the storage wrapper by the Synchronizer
+ */
+export function buildLocalRecords(definitions, { changeNumber } = {}) {
+  if (!isPlainObject(definitions)) {
+    throw new LocalFlagsError('Flags file must contain an object with `flags` and `segments`');
+  }
+  if (changeNumber === undefined) changeNumber = contentChangeNumber(definitions);
+  const flags = definitions.flags || {};
+  const segments = definitions.segments || {};
+  if (!isPlainObject(flags) || !isPlainObject(segments)) {
+    throw new LocalFlagsError('`flags` and `segments` must be objects keyed by name');
+  }
+
+  const records = new Map();
+  const trafficTypes = new Map();
+  const flagSets = new Map();
+
+  for (const [segmentName, members] of Object.entries(segments)) {
+    if (!Array.isArray(members)) {
+      throw new LocalFlagsError(`Segment ${segmentName} must be a list of keys`);
+    }
+    records.set(`${PREFIX}segment.${segmentName}`, [...new Set(members.map(String))]);
+    records.set(`${PREFIX}segment.${segmentName}.till`, `${changeNumber}`);
+  }
+  if (Object.keys(segments).length > 0) {
+    records.set(`${PREFIX}segments.registered`, Object.keys(segments));
+  }
+
+  const segmentNames = new Set(Object.keys(segments));
+  for (const [flagName, flag] of Object.entries(flags)) {
+    const definition = buildFlag(flagName, flag, { changeNumber, segmentNames });
+    records.set(`${PREFIX}split.${flagName}`, JSON.stringify(definition));
+
+    trafficTypes.set(definition.trafficTypeName, (trafficTypes.get(definition.trafficTypeName) || 0) + 1);
+    definition.sets.forEach(flagSet => {
+      flagSets.set(flagSet, [...(flagSets.get(flagSet) || []), flagName]);
+    });
+  }
+
+  trafficTypes.forEach((count, trafficType) => records.set(`${PREFIX}trafficType.${trafficType}`, count));
+  flagSets.forEach((names, flagSet) => records.set(`${PREFIX}flagSet.${flagSet}`, names));
+  records.set(`${PREFIX}splits.till`, `${changeNumber}`);
+
+  return records;
+}
+
+/**
+ * Write the records through a storage wrapper, deleting any other SPLITIO.*
+ * keys so flags and segments removed from the file disappear from the store
+ * Nothing is written when the store already has the records' change number:
+ * it is written last, so the previous run wrote the same records completely.
+ * Resolves with { written, deleted, unchanged }.
+ */
+export async function writeLocalRecords(wrapper, records) {
+  const tillKey = `${PREFIX}splits.till`;
+  if (`${await wrapper.get(tillKey)}` === records.get(tillKey)) {
+    return { written: 0, deleted: 0, unchanged: true };
+  }
+
+  const staleKeys = (await wrapper.getKeysByPrefix(PREFIX)).filter(key => !records.has(key));
+  const entries = [...records].filter(([key]) => key !== tillKey);
+
+  await Promise.all(entries.map(([key, value]) => wrapper.set(key, value)));
+  await wrapper.flush();
+  await Promise.all(staleKeys.map(key => wrapper.del(key)));
+  // The change number goes last: the edge drops its cached SDK clients when it changes
+  await wrapper.set(tillKey, records.get(tillKey));
+  await wrapper.flush();
+
+  return { written: records.size, deleted: staleKeys.length, unchanged: false };
+}
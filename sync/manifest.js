@@ -0,0 +1,81 @@
+/**
+ * Sync manifest
+ *
+ * After every successful Synchronizer run, the sync script writes a manifest
+ * to KV Store describing the synced dataset. The Compute service reads it to
+ * report the data version on /status and in the X-Flags-Version header.
+ *
+ * The content hash covers every feature flag and rule-based segment definition
+ * plus the change number of every segment, so any change to the synced data
+ * (including segment membership) produces a new hash.
+ */
+
+import { createHash } from 'node:crypto';
+import { createRequire } from 'node:module';
+import os from 'node:os';
+
+const PREFIX = 'SPLITIO.';
+
+/**
+ * Version of the Split Synchronizer package, or 'unknown' if it cannot be read
+ */
+function getSynchronizerVersion() {
+  try {
+    const require = createRequire(import.meta.url);
+    return require('@splitsoftware/splitio-sync-tools/package.json').version;
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+function parseChangeNumber(value) {
+  const changeNumber = parseInt(value, 10);
+  return Number.isNaN(changeNumber) ? -1 : changeNumber;
+}
+
+/**
+ * Build the manifest by reading the synced dataset back through the storage wrapper
+ */
+export async function buildManifest(wrapper) {
+  const keys = (await wrapper.getKeysByPrefix(PREFIX)).sort();
+
+  const flagKeys = keys.filter(key => key.startsWith(`${PREFIX}split.`));
+  const ruleBasedSegmentKeys = keys.filter(key => key.startsWith(`${PREFIX}rbsegment.`));
+  const segmentTillKeys = keys.filter(key => key.startsWith(`${PREFIX}segment.`) && key.endsWith('.till'));
+  const changeNumberKeys = [`${PREFIX}splits.till`, `${PREFIX}rbsegments.till`];
+
+  const hashedKeys = [...changeNumberKeys, ...flagKeys, ...ruleBasedSegmentKeys, ...segmentTillKeys];
+  const values = await wrapper.getMany(hashedKeys);
+
+  const hash = createHash('sha256');
+  hashedKeys.forEach((key, index) => {
+    hash.update(`${key}\n${JSON.stringify(values[index])}\n`);
+  });
+  const contentHash = hash.digest('hex');
+
+  const splitsChangeNumber = parseChangeNumber(values[0]);
+  const segmentChangeNumbers = values.slice(hashedKeys.length - segmentTillKeys.length).map(parseChangeNumber);
+
+  return {
+    version: `${splitsChangeNumber}-${contentHash.slice(0, 12)}`,
+    timestamp: new Date().toISOString(),
+    changeNumbers: {
+      splits: splitsChangeNumber,
+      ruleBasedSegments: parseChangeNumber(values[1]),
+      // Highest change number across all segments
+      segments: Math.max(-1, ...segmentChangeNumbers)
+    },
+    counts: {
+      flags: flagKeys.length,
+      ruleBasedSegments: ruleBasedSegmentKeys.length,
+      segments: segmentTillKeys.length
+    },
+    contentHash: `sha256:${contentHash}`,
+    tool: {
+      name: 'sync-to-kv',
+      synchronizerVersion: getSynchronizerVersion(),
+      node: process.version
+    },
+    host: os.hostname()
+  };
+}
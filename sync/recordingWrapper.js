@@ -0,0 +1,134 @@
+/**
+ * Recording storage wrapper for dry runs
+ *
+ * Implements the same storage interface as createFastlyKVWrapper, reading
+ * through to a base wrapper but keeping every write in memory instead of
+ * sending it to KV Store. After a Synchronizer run, getChanges() returns the
+ * keys that would have been written or deleted.
+ */
+
+const DELETED = Symbol('deleted');
+
+export function createRecordingWrapper(baseWrapper) {
+  // key -> value that would be written, or DELETED
+  const overlay = new Map();
+
+  async function getValue(key) {
+    if (overlay.has(key)) {
+      const value = overlay.get(key);
+      return value === DELETED ? null : value;
+    }
+    return baseWrapper.get(key);
+  }
+
+  async function setValue(key, value) {
+    overlay.set(key, value);
+    return true;
+  }
+
+  return {
+    async get(key) {
+      return getValue(key);
+    },
+
+    async set(key, value) {
+      return setValue(key, value);
+    },
+
+    async getAndSet(key, value) {
+      const oldValue = await getValue(key);
+      await setValue(key, value);
+      return oldValue;
+    },
+
+    async del(key) {
+      overlay.set(key, DELETED);
+      return true;
+    },
+
+    async getKeysByPrefix(prefix) {
+      const keys = new Set(await baseWrapper.getKeysByPrefix(prefix));
+      for (const [key, value] of overlay) {
+        if (!key.startsWith(prefix)) continue;
+        if (value === DELETED) {
+          keys.delete(key);
+        } else {
+          keys.add(key);
+        }
+      }
+      return [...keys];
+    },
+
+    async getMany(keys) {
+      return Promise.all(keys.map(key => getValue(key)));
+    },
+
+    async incr(key, increment = 1) {
+      const newValue = (await getValue(key) || 0) + increment;
+      await setValue(key, newValue);
+      return newValue;
+    },
+
+    async decr(key, decrement = 1) {
+      const newValue = (await getValue(key) || 0) - decrement;
+      await setValue(key, newValue);
+      return newValue;
+    },
+
+    async itemContains(key, item) {
+      const set = await getValue(key);
+      return set && Array.isArray(set) ? set.includes(item) : false;
+    },
+
+    async addItems(key, items) {
+      const set = await getValue(key) || [];
+      await setValue(key, [...new Set([...set, ...items])]);
+    },
+
+    async removeItems(key, items) {
+      const set = await getValue(key);
+      if (set && Array.isArray(set)) {
+        await setValue(key, set.filter(item => !items.includes(item)));
+      }
+    },
+
+    async getItems(key) {
+      const set = await getValue(key);
+      return set && Array.isArray(set) ? set : [];
+    },
+
+    async connect() {},
+
+    async disconnect() {},
+
+    async flush() {
+      return true;
+    },
+
+    async pushItems(key, items) {},
+
+    async popItems(key, count) {
+      return [];
+    },
+
+    async getItemsCount(key) {
+      return 0;
+    },
+
+    /**
+     * Recorded changes: { written: Map<key, value>, deleted: string[] }
+     */
+    getChanges() {
+      const written = new Map();
+      const deleted = [];
+      for (const [key, value] of overlay) {
+        if (value === DELETED) {
+          deleted.push(key);
+        } else {
+          written.set(key, value);
+        }
+      }
+      return { written, deleted };
+    }
+  };
+}
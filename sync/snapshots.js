@@ -0,0 +1,121 @@
+/**
+ * Snapshots of the synced dataset and rollback
+ *
+ * When enabled (SNAPSHOT_RETENTION), the synced SPLITIO.* keys are copied
+ * under sync/snapshots/<id>/ after a sync and the snapshot is recorded in the
+ * sync/snapshots index, newest first. The snapshot id is the manifest version,
+ * so a sync that did not change the data does not copy it again. A copy reads
+ * and writes every synced key, which is why snapshots are opt-in.
+ *
+ * A rollback writes a manifest whose keyPrefix points at a complete snapshot.
+ * The Compute service reads whichever dataset the manifest points at, and the
+ * manifest is a single key written last, so the edge switches from one complete
+ * dataset to the other and never reads a half-restored mix. Syncs leave the
+ * rolled back manifest alone until they are run with --resume.
+ */
+
+import { MANIFEST_KEY, SNAPSHOT_INDEX_KEY, snapshotKeyPrefix } from '../src/syncKeys.js';
+
+const DATA_PREFIX = 'SPLITIO.';
+
+// Number of snapshots kept when createSnapshot() is not given a retention
+export const DEFAULT_SNAPSHOT_RETENTION = 10;
+
+/**
+ * Snapshots recorded in the index, newest first:
+ * [{ id, createdAt, keyCount, manifest }]
+ */
+export async function listSnapshots(wrapper) {
+  const index = await wrapper.get(SNAPSHOT_INDEX_KEY);
+  return Array.isArray(index) ? index : [];
+}
+
+/**
+ * Whether a manifest points at a snapshot instead of the synced keys
+ */
+export function isRolledBack(manifest) {
+  return Boolean(manifest && manifest.rollback);
+}
+
+async function deleteSnapshotKeys(wrapper, id) {
+  const keys = await wrapper.getKeysByPrefix(snapshotKeyPrefix(id));
+  await Promise.all(keys.map(key => wrapper.del(key)));
+}
+
+/**
+ * Copy the synced dataset described by `manifest` into a new snapshot
+ * Snapshots beyond `retention` are removed, except the one currently rolled back to.
+ * Resolves with { id, created, removed }.
+ */
+export async function createSnapshot(wrapper, manifest, { retention = DEFAULT_SNAPSHOT_RETENTION } = {}) {
+  const id = manifest.version;
+  const snapshots = await listSnapshots(wrapper);
+  if (snapshots.some(snapshot => snapshot.id === id)) {
+    return { id, created: false, removed: [] };
+  }
+
+  const keys = await wrapper.getKeysByPrefix(DATA_PREFIX);
+  const values = await wrapper.getMany(keys);
+  const missing = keys.filter((key, index) => values[index] === null || values[index] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Could not read ${missing.length} key(s) for snapshot ${id}: ${missing.slice(0, 5).join(', ')}`);
+  }
+
+  const prefix = snapshotKeyPrefix(id);
+  const written = await Promise.all(keys.map((key, index) => wrapper.set(`${prefix}${key}`, values[index])));
+  if (!written.every(Boolean) || !await wrapper.flush()) {
+    throw new Error(`Could not write snapshot ${id}`);
+  }
+
+  // Record the snapshot only once all of its keys are in place
+  const current = await wrapper.get(MANIFEST_KEY);
+  const activeId = isRolledBack(current) ? current.rollback.snapshot : null;
+  const entries = [{ id, createdAt: new Date().toISOString(), keyCount: keys.length, manifest }, ...snapshots];
+  const kept = entries.filter((snapshot, index) => index < retention || snapshot.id === activeId);
+  const removed = entries.filter(snapshot => !kept.includes(snapshot)).map(snapshot => snapshot.id);
+
+  if (!await wrapper.set(SNAPSHOT_INDEX_KEY, kept) || !await wrapper.flush()) {
+    throw new Error(`Could not write ${SNAPSHOT_INDEX_KEY}`);
+  }
+  for (const removedId of removed) {
+    await deleteSnapshotKeys(wrapper, removedId);
+  }
+
+  return { id, created: true, removed };
+}
+
+/**
+ * Point the manifest at a snapshot
+ * Resolves with the manifest that was written.
+ */
+export async function rollbackToSnapshot(wrapper, id) {
+  const snapshot = (await listSnapshots(wrapper)).find(entry => entry.id === id);
+  if (!snapshot) {
+    throw new Error(`Unknown snapshot ${id}, run \`node sync-to-kv.js snapshots\` to list them`);
+  }
+
+  const prefix = snapshotKeyPrefix(id);
+  const keys = await wrapper.getKeysByPrefix(prefix);
+  if (keys.length !== snapshot.keyCount) {
+    throw new Error(`Snapshot ${id} is incomplete: found ${keys.length} of ${snapshot.keyCount} keys`);
+  }
+
+  const current = await wrapper.get(MANIFEST_KEY);
+  const now = new Date().toISOString();
+  const manifest = {
+    ...snapshot.manifest,
+    timestamp: now,
+    keyPrefix: prefix,
+    rollback: {
+      snapshot: id,
+      at: now,
+      syncedAt: snapshot.manifest.timestamp,
+      previousVersion: current ? current.version : null
+    }
+  };
+
+  if (!await wrapper.set(MANIFEST_KEY, manifest) || !await wrapper.flush()) {
+    throw new Error(`Could not write ${MANIFEST_KEY}`);
+  }
+  return manifest;
+}
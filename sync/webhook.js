@@ -0,0 +1,143 @@
+/**
+ * Harness FME change webhook receiver
+ *
+ * Handles POST /webhook on the sync daemon's HTTP server. Requests must carry the
+ * shared secret, either in the `X-Webhook-Secret` header or as the `secret` query
+ * parameter (for webhook senders that can only be configured with a URL).
+ *
+ * Accepted webhooks are debounced: a sync starts once no webhook has arrived for
+ * `debounceMs`, or `maxWaitMs` after the first one of a burst, whichever comes
+ * first. Because the Synchronizer resumes from the change numbers already in the
+ * store, each run only fetches what changed since the previous one.
+ */
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+// Largest accepted request body
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Constant-time comparison of a provided secret with the expected one
+ */
+function isValidSecret(provided, expected) {
+  if (!provided) return false;
+  const a = createHash('sha256').update(provided).digest();
+  const b = createHash('sha256').update(expected).digest();
+  return timingSafeEqual(a, b);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Whether a payload is a change notification object or an array of them
+ */
+function isValidPayload(payload) {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  return isObject(payload) || (Array.isArray(payload) && payload.every(isObject));
+}
+
+/**
+ * Short description of a change notification for the logs
+ */
+function describeChange(payload) {
+  const changes = Array.isArray(payload) ? payload : [payload];
+  return changes
+    .map(change => [change.type, change.name, change.environmentName && `(${change.environmentName})`].filter(Boolean).join(' '))
+    .filter(Boolean)
+    .join(', ') || 'change';
+}
+
+/**
+ * Create the request handler
+ * onSync(reason) is called once per debounced burst of accepted webhooks.
+ */
+export function createWebhookHandler({ secret, onSync, debounceMs = 2000, maxWaitMs = 10000 }) {
+  if (!secret) {
+    throw new Error('A webhook secret is required');
+  }
+
+  let timer = null;
+  let burstStartedAt = null;
+  let burstSize = 0;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const reason = `${burstSize} webhook${burstSize === 1 ? '' : 's'}`;
+    burstStartedAt = null;
+    burstSize = 0;
+    onSync(reason);
+  }
+
+  /**
+   * Schedule a sync, postponing it while webhooks keep arriving (up to maxWaitMs)
+   */
+  function schedule() {
+    const now = Date.now();
+    if (burstStartedAt === null) burstStartedAt = now;
+    burstSize++;
+
+    clearTimeout(timer);
+    const delay = Math.max(0, Math.min(debounceMs, burstStartedAt + maxWaitMs - now));
+    timer = setTimeout(flush, delay);
+    return delay;
+  }
+
+  async function handleWebhook(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!isValidSecret(req.headers['x-webhook-secret'] || url.searchParams.get('secret'), secret)) {
+      console.warn('🚫 Rejected webhook with a missing or invalid secret');
+      sendJson(res, 401, { error: 'invalid_secret' });
+      return;
+    }
+
+    let payload;
+    try {
+      const body = await readBody(req);
+      payload = body ? JSON.parse(body) : {};
+    } catch (error) {
+      sendJson(res, 400, { error: 'invalid_body', message: error.message });
+      return;
+    }
+    if (!isValidPayload(payload)) {
+      sendJson(res, 400, { error: 'invalid_body', message: 'Expected a JSON object or an array of objects' });
+      return;
+    }
+
+    const delay = schedule();
+    console.log(`📨 Webhook: ${describeChange(payload)}, syncing in ${delay}ms`);
+    sendJson(res, 202, { accepted: true, syncInMs: delay });
+  }
+
+  return async function (req, res) {
+    try {
+      await handleWebhook(req, res);
+    } catch (error) {
+      console.error('❌ Error handling webhook:', error.message);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'internal_error' });
+      }
+    }
+  };
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeDiff, formatDiff } from '../sync/diff.js';
+
+/**
+ * Base wrapper serving getMany() from a plain object
+ */
+function baseWrapper(values) {
+  return {
+    async getMany(keys) {
+      return keys.map(key => (key in values ? values[key] : null));
+    }
+  };
+}
+
+const BASE = {
+  'SPLITIO.split.unchanged': JSON.stringify({ name: 'unchanged', killed: false }),
+  'SPLITIO.split.changed': JSON.stringify({ name: 'changed', killed: false, defaultTreatment: 'off', changeNumber: 1 }),
+  'SPLITIO.split.removed': JSON.stringify({ name: 'removed' }),
+  'SPLITIO.segment.beta': ['user-1', 'user-2'],
+  'SPLITIO.segment.beta.till': '1',
+  'SPLITIO.splits.till': '1'
+};
+
+const CHANGES = {
+  written: new Map([
+    ['SPLITIO.split.unchanged', JSON.stringify({ name: 'unchanged', killed: false })],
+    ['SPLITIO.split.changed', JSON.stringify({ name: 'changed', killed: true, defaultTreatment: 'off', changeNumber: 2 })],
+    ['SPLITIO.split.added', JSON.stringify({ name: 'added' })],
+    ['SPLITIO.segment.beta', ['user-2', 'user-3']],
+    ['SPLITIO.segment.beta.till', '2'],
+    ['SPLITIO.splits.till', '1']
+  ]),
+  deleted: ['SPLITIO.split.removed']
+};
+
+test('classifies flags as added, changed or removed', async () => {
+  const diff = await computeDiff(baseWrapper(BASE), CHANGES);
+
+  assert.deepEqual(diff.flags, {
+    added: ['added'],
+    changed: [{ name: 'changed', fields: ['changeNumber', 'killed'] }],
+    removed: ['removed']
+  });
+  assert.deepEqual(diff.deletedKeys, ['SPLITIO.split.removed']);
+});
+
+test('reports segment membership changes and other keys', async () => {
+  const diff = await computeDiff(baseWrapper(BASE), CHANGES);
+
+  assert.deepEqual(diff.segments, [{ name: 'beta', added: ['user-3'], removed: ['user-1'] }]);
+  assert.deepEqual(diff.otherKeys, ['SPLITIO.segment.beta.till']);
+});
+
+test('counts unchanged keys without listing them', async () => {
+  const diff = await computeDiff(baseWrapper(BASE), CHANGES);
+
+  assert.deepEqual(diff.summary, { keysWritten: 4, keysDeleted: 1, keysUnchanged: 2 });
+  assert.doesNotMatch(formatDiff(diff), /~ unchanged/);
+  assert.match(formatDiff(diff), /Summary: 4 writes, 1 deletes, 2 unchanged/);
+});
+
+test('ignores deletes of keys that do not exist', async () => {
+  const diff = await computeDiff(baseWrapper({}), { written: new Map(), deleted: ['SPLITIO.split.missing'] });
+
+  assert.deepEqual(diff.flags.removed, []);
+  assert.deepEqual(diff.summary, { keysWritten: 0, keysDeleted: 0, keysUnchanged: 1 });
+});
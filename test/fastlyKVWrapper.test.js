@@ -0,0 +1,181 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFastlyKVWrapper } from '../sync/fastlyKVWrapper.js';
+
+const BASE_URL = 'https://api.fastly.com/resources/stores/kv/store-id';
+
+/**
+ * In-memory Fastly KV Store API behind a fetch() stub
+ * `failures` holds statuses returned, in order, before requests are served.
+ */
+function fakeKVStore(initial = {}) {
+  const values = new Map(Object.entries(initial).map(([key, value]) => [key, JSON.stringify(value)]));
+  const requests = [];
+  const failures = [];
+
+  async function fetch(url, init = {}) {
+    const method = init.method || 'GET';
+    const { pathname, searchParams } = new URL(url);
+    const path = pathname.slice(new URL(BASE_URL).pathname.length);
+    requests.push({ method, path, body: init.body });
+
+    if (failures.length > 0) {
+      return new Response('failure', { status: failures.shift(), headers: { 'Retry-After': '0' } });
+    }
+
+    if (path === '/batch' && method === 'PUT') {
+      init.body.split('\n').forEach((line) => {
+        const { key, value } = JSON.parse(line);
+        values.set(key, Buffer.from(value, 'base64').toString('utf8'));
+      });
+      return new Response(null, { status: 200 });
+    }
+    if (path === '/keys' && method === 'GET') {
+      const keys = [...values.keys()].filter(key => key.startsWith(searchParams.get('prefix'))).sort();
+      const start = Number(searchParams.get('cursor') || 0);
+      const end = start + Number(searchParams.get('limit'));
+      const meta = end < keys.length ? { next_cursor: String(end) } : {};
+      return Response.json({ data: keys.slice(start, end), meta });
+    }
+
+    const key = decodeURIComponent(path.slice('/keys/'.length));
+    if (method === 'PUT') {
+      values.set(key, init.body);
+      return new Response(null, { status: 200 });
+    }
+    if (method === 'DELETE') {
+      return new Response(null, { status: values.delete(key) ? 200 : 404 });
+    }
+    return values.has(key) ? new Response(values.get(key)) : new Response('', { status: 404 });
+  }
+
+  return { values, requests, failures, fetch };
+}
+
+function createWrapper(store, options = {}) {
+  return createFastlyKVWrapper('store-id', 'token', { baseDelayMs: 1, maxDelayMs: 1, fetch: store.fetch, ...options });
+}
+
+function writes(store) {
+  return store.requests.filter(({ method }) => method !== 'GET');
+}
+
+test('skips writes of values the store already holds', async () => {
+  const store = fakeKVStore({ 'SPLITIO.split.a': '{"name":"a"}' });
+  const wrapper = createWrapper(store);
+
+  await wrapper.get('SPLITIO.split.a');
+  await wrapper.set('SPLITIO.split.a', '{"name":"a"}');
+  assert.equal(await wrapper.flush(), true);
+
+  assert.deepEqual(writes(store), []);
+  assert.equal(wrapper.getStats().unchangedWrites, 1);
+
+  await wrapper.set('SPLITIO.split.a', '{"name":"a","killed":true}');
+  await wrapper.flush();
+  assert.equal(writes(store).length, 1);
+  assert.equal(JSON.parse(store.values.get('SPLITIO.split.a')), '{"name":"a","killed":true}');
+});
+
+test('coalesces set updates of a key into one read and one write', async () => {
+  const store = fakeKVStore({ 'SPLITIO.segment.beta': ['user-1', 'user-2'] });
+  const wrapper = createWrapper(store);
+
+  await Promise.all([
+    wrapper.addItems('SPLITIO.segment.beta', ['user-3']),
+    wrapper.addItems('SPLITIO.segment.beta', ['user-4']),
+    wrapper.removeItems('SPLITIO.segment.beta', ['user-1'])
+  ]);
+  await wrapper.flush();
+
+  const reads = store.requests.filter(({ method, path }) => method === 'GET' && path.startsWith('/keys/'));
+  assert.equal(reads.length, 1);
+  assert.equal(writes(store).length, 1);
+  assert.deepEqual(JSON.parse(store.values.get('SPLITIO.segment.beta')).sort(), ['user-2', 'user-3', 'user-4']);
+});
+
+test('writes in batches with the change numbers last', async () => {
+  const store = fakeKVStore();
+  const wrapper = createWrapper(store, { batchSize: 2 });
+
+  await wrapper.set('SPLITIO.splits.till', '10');
+  for (const name of ['a', 'b', 'c', 'd', 'e']) {
+    await wrapper.set(`SPLITIO.split.${name}`, `{"name":"${name}"}`);
+  }
+  assert.equal(await wrapper.flush(), true);
+
+  const batches = writes(store).map(({ body }) => body.split('\n').map(line => JSON.parse(line).key));
+  assert.deepEqual(batches.slice(0, 3).flat().sort(), ['a', 'b', 'c', 'd', 'e'].map(name => `SPLITIO.split.${name}`));
+  assert.ok(batches.slice(0, 3).every(batch => batch.length <= 2));
+  // A single remaining key is written with its own request
+  assert.deepEqual(writes(store)[3], { method: 'PUT', path: '/keys/SPLITIO.splits.till', body: '"10"' });
+  assert.equal(wrapper.getStats().batches, 3);
+});
+
+test('writes keys one by one when a batch is rejected', async () => {
+  const store = fakeKVStore();
+  const wrapper = createWrapper(store, { maxRetries: 0 });
+
+  await wrapper.set('SPLITIO.split.a', '{}');
+  await wrapper.set('SPLITIO.split.b', '{}');
+  store.failures.push(400);
+  assert.equal(await wrapper.flush(), true);
+
+  assert.deepEqual(writes(store).map(({ path }) => path), ['/batch', '/keys/SPLITIO.split.a', '/keys/SPLITIO.split.b']);
+  assert.ok(store.values.has('SPLITIO.split.a') && store.values.has('SPLITIO.split.b'));
+});
+
+test('retries throttled and failed requests', async () => {
+  const store = fakeKVStore({ 'SPLITIO.splits.till': '10' });
+  const wrapper = createWrapper(store);
+
+  store.failures.push(429, 503);
+  assert.equal(await wrapper.get('SPLITIO.splits.till'), '10');
+  assert.equal(wrapper.getStats().retries, 2);
+  assert.deepEqual(wrapper.getFailures(), []);
+});
+
+test('records operations that fail after all retries', async () => {
+  const store = fakeKVStore();
+  const wrapper = createWrapper(store, { maxRetries: 1, batchSize: 1 });
+
+  await wrapper.set('SPLITIO.split.a', '{}');
+  store.failures.push(500, 500);
+  assert.equal(await wrapper.flush(), false);
+
+  assert.equal(store.requests.length, 2);
+  assert.deepEqual(wrapper.getFailures().map(({ operation, key }) => [operation, key]), [['setting', 'SPLITIO.split.a']]);
+});
+
+test('does not retry client errors', async () => {
+  const store = fakeKVStore();
+  const wrapper = createWrapper(store);
+
+  store.failures.push(403);
+  assert.equal(await wrapper.get('SPLITIO.splits.till'), null);
+  assert.equal(store.requests.length, 1);
+  assert.equal(wrapper.getFailures().length, 1);
+});
+
+test('lists keys across pages along with buffered writes', async () => {
+  const store = fakeKVStore({ 'SPLITIO.split.a': '{}', 'SPLITIO.split.b': '{}', 'SPLITIO.split.c': '{}', 'other': 1 });
+  const wrapper = createWrapper(store, { listPageSize: 2 });
+
+  await wrapper.set('SPLITIO.split.b', '{"name":"b"}');
+  await wrapper.set('SPLITIO.split.d', '{}');
+
+  assert.deepEqual((await wrapper.getKeysByPrefix('SPLITIO.split.')).sort(),
+    ['SPLITIO.split.a', 'SPLITIO.split.b', 'SPLITIO.split.c', 'SPLITIO.split.d']);
+  assert.equal(store.requests.filter(({ path }) => path === '/keys').length, 2);
+});
+
+test('skips deletes of keys known to be absent', async () => {
+  const store = fakeKVStore();
+  const wrapper = createWrapper(store);
+
+  assert.equal(await wrapper.get('SPLITIO.split.gone'), null);
+  assert.equal(await wrapper.del('SPLITIO.split.gone'), true);
+
+  assert.deepEqual(writes(store), []);
+  assert.equal(wrapper.getStats().skippedDeletes, 1);
+});
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+  buildLocalRecords, contentChangeNumber, loadFlagsFile, LocalFlagsError, writeLocalRecords
+} from '../sync/localFlags.js';
+
+const DEFINITIONS = {
+  flags: {
+    'new-checkout': { treatment: 'on', sets: ['frontend'] },
+    'pricing-page': {
+      trafficType: 'account',
+      keys: { on: ['qa-user'] },
+      segments: { on: ['beta-users'] },
+      rollout: { on: 20, off: 80 },
+      configs: { on: { color: 'blue' } }
+    }
+  },
+  segments: {
+    'beta-users': ['user-7', 'user-9', 'user-7']
+  }
+};
+
+/**
+ * In-memory storage wrapper recording the order of writes and deletes
+ */
+function memoryWrapper(initial = {}) {
+  const values = new Map(Object.entries(initial));
+  const operations = [];
+  return {
+    values,
+    operations,
+    async get(key) {
+      return values.has(key) ? values.get(key) : null;
+    },
+    async set(key, value) {
+      operations.push(['set', key]);
+      values.set(key, value);
+      return true;
+    },
+    async del(key) {
+      operations.push(['del', key]);
+      return values.delete(key);
+    },
+    async getKeysByPrefix(prefix) {
+      return [...values.keys()].filter(key => key.startsWith(prefix));
+    },
+    async flush() {
+      return true;
+    }
+  };
+}
+
+test('builds the records the Synchronizer would write', () => {
+  const records = buildLocalRecords(DEFINITIONS, { changeNumber: 42 });
+
+  const checkout = JSON.parse(records.get('SPLITIO.split.new-checkout'));
+  assert.equal(checkout.changeNumber, 42);
+  assert.deepEqual(checkout.sets, ['frontend']);
+  assert.deepEqual(checkout.conditions.at(-1).partitions, [{ treatment: 'on', size: 100 }]);
+
+  const pricing = JSON.parse(records.get('SPLITIO.split.pricing-page'));
+  assert.equal(pricing.trafficTypeName, 'account');
+  assert.deepEqual(pricing.conditions.map(condition => condition.label), ['whitelisted', 'in segment beta-users', 'default rule']);
+  assert.deepEqual(pricing.configurations, { on: '{"color":"blue"}' });
+
+  assert.deepEqual(records.get('SPLITIO.segment.beta-users'), ['user-7', 'user-9']);
+  assert.equal(records.get('SPLITIO.segment.beta-users.till'), '42');
+  assert.deepEqual(records.get('SPLITIO.segments.registered'), ['beta-users']);
+  assert.equal(records.get('SPLITIO.trafficType.user'), 1);
+  assert.equal(records.get('SPLITIO.trafficType.account'), 1);
+  assert.deepEqual(records.get('SPLITIO.flagSet.frontend'), ['new-checkout']);
+  assert.equal(records.get('SPLITIO.splits.till'), '42');
+});
+
+test('derives a stable change number from the contents', () => {
+  const copy = JSON.parse(JSON.stringify(DEFINITIONS));
+  const changeNumber = contentChangeNumber(DEFINITIONS);
+
+  assert.equal(contentChangeNumber(copy), changeNumber);
+  assert.equal(buildLocalRecords(DEFINITIONS).get('SPLITIO.splits.till'), `${changeNumber}`);
+  assert.deepEqual([...buildLocalRecords(copy)], [...buildLocalRecords(DEFINITIONS)]);
+
+  copy.flags['new-checkout'].treatment = 'off';
+  assert.notEqual(contentChangeNumber(copy), changeNumber);
+});
+
+test('keeps the change number below the ones Harness FME issues', () => {
+  const changeNumber = contentChangeNumber(DEFINITIONS);
+  assert.ok(Number.isInteger(changeNumber));
+  assert.ok(changeNumber > 0);
+  assert.ok(changeNumber < Date.parse('2000-01-01'));
+});
+
+test('rejects invalid definitions', () => {
+  assert.throws(() => buildLocalRecords([]), LocalFlagsError);
+  assert.throws(() => buildLocalRecords({ flags: [] }), LocalFlagsError);
+  assert.throws(() => buildLocalRecords({ flags: { a: { segments: { on: ['missing'] } } } }), LocalFlagsError);
+  assert.throws(() => buildLocalRecords({ segments: { s: 'user-1' } }), LocalFlagsError);
+});
+
+test('writes the records, deletes stale keys and writes the change number last', async () => {
+  const wrapper = memoryWrapper({ 'SPLITIO.split.removed': '{}', 'SPLITIO.splits.till': '1' });
+  const records = buildLocalRecords(DEFINITIONS);
+
+  const result = await writeLocalRecords(wrapper, records);
+
+  assert.deepEqual(result, { written: records.size, deleted: 1, unchanged: false });
+  assert.equal(wrapper.values.has('SPLITIO.split.removed'), false);
+  assert.deepEqual(wrapper.operations.at(-1), ['set', 'SPLITIO.splits.till']);
+  assert.equal(wrapper.values.get('SPLITIO.splits.till'), records.get('SPLITIO.splits.till'));
+});
+
+test('writes nothing when the store already has the same change number', async () => {
+  const wrapper = memoryWrapper();
+  await writeLocalRecords(wrapper, buildLocalRecords(DEFINITIONS));
+  wrapper.operations.length = 0;
+
+  const result = await writeLocalRecords(wrapper, buildLocalRecords(JSON.parse(JSON.stringify(DEFINITIONS))));
+
+  assert.deepEqual(result, { written: 0, deleted: 0, unchanged: true });
+  assert.deepEqual(wrapper.operations, []);
+});
+
+test('loads YAML and JSON flags files', () => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'local-flags-'));
+  try {
+    writeFileSync(path.join(dir, 'flags.yaml'), 'flags:\n  new-checkout:\n    treatment: on\n');
+    writeFileSync(path.join(dir, 'flags.json'), JSON.stringify({ flags: { 'new-checkout': { treatment: 'on' } } }));
+    writeFileSync(path.join(dir, 'broken.json'), '{');
+
+    assert.deepEqual(loadFlagsFile(path.join(dir, 'flags.yaml')), { flags: { 'new-checkout': { treatment: 'on' } } });
+    assert.deepEqual(loadFlagsFile(path.join(dir, 'flags.json')), { flags: { 'new-checkout': { treatment: 'on' } } });
+    assert.throws(() => loadFlagsFile(path.join(dir, 'broken.json')), LocalFlagsError);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MANIFEST_KEY, dataKeyPrefix, snapshotKeyPrefix } from '../src/syncKeys.js';
+import { createSnapshot, isRolledBack, listSnapshots, rollbackToSnapshot } from '../sync/snapshots.js';
+
+const DATASET = {
+  'SPLITIO.split.new-checkout': '{"name":"new-checkout"}',
+  'SPLITIO.segment.beta': ['user-1'],
+  'SPLITIO.splits.till': '10'
+};
+
+/**
+ * In-memory storage wrapper with the methods snapshots.js uses
+ */
+function memoryWrapper(initial = {}) {
+  const values = new Map(Object.entries(initial));
+  return {
+    values,
+    async get(key) {
+      return values.has(key) ? values.get(key) : null;
+    },
+    async getMany(keys) {
+      return keys.map(key => (values.has(key) ? values.get(key) : null));
+    },
+    async set(key, value) {
+      values.set(key, value);
+      return true;
+    },
+    async del(key) {
+      return values.delete(key);
+    },
+    async getKeysByPrefix(prefix) {
+      return [...values.keys()].filter(key => key.startsWith(prefix));
+    },
+    async flush() {
+      return true;
+    }
+  };
+}
+
+function manifest(version) {
+  return { version, timestamp: `2026-01-0${version.slice(-1)}T00:00:00.000Z` };
+}
+
+function snapshotKeys(wrapper, id) {
+  return [...wrapper.values.keys()].filter(key => key.startsWith(snapshotKeyPrefix(id)));
+}
+
+test('copies the synced keys into a snapshot', async () => {
+  const wrapper = memoryWrapper(DATASET);
+
+  const result = await createSnapshot(wrapper, manifest('v1'));
+
+  assert.deepEqual(result, { id: 'v1', created: true, removed: [] });
+  assert.equal(wrapper.values.get(`${snapshotKeyPrefix('v1')}SPLITIO.splits.till`), '10');
+  assert.equal(snapshotKeys(wrapper, 'v1').length, Object.keys(DATASET).length);
+
+  const [snapshot] = await listSnapshots(wrapper);
+  assert.equal(snapshot.keyCount, Object.keys(DATASET).length);
+  assert.deepEqual(snapshot.manifest, manifest('v1'));
+});
+
+test('does not copy a version twice', async () => {
+  const wrapper = memoryWrapper(DATASET);
+  await createSnapshot(wrapper, manifest('v1'));
+
+  assert.deepEqual(await createSnapshot(wrapper, manifest('v1')), { id: 'v1', created: false, removed: [] });
+  assert.equal((await listSnapshots(wrapper)).length, 1);
+});
+
+test('prunes snapshots beyond the retention, newest first', async () => {
+  const wrapper = memoryWrapper(DATASET);
+
+  for (const version of ['v1', 'v2', 'v3']) {
+    await createSnapshot(wrapper, manifest(version), { retention: 2 });
+  }
+
+  assert.deepEqual((await listSnapshots(wrapper)).map(({ id }) => id), ['v3', 'v2']);
+  assert.deepEqual(snapshotKeys(wrapper, 'v1'), []);
+  assert.equal(snapshotKeys(wrapper, 'v2').length, Object.keys(DATASET).length);
+});
+
+test('keeps the snapshot currently rolled back to', async () => {
+  const wrapper = memoryWrapper(DATASET);
+  await createSnapshot(wrapper, manifest('v1'), { retention: 1 });
+  await rollbackToSnapshot(wrapper, 'v1');
+
+  const result = await createSnapshot(wrapper, manifest('v2'), { retention: 1 });
+
+  assert.deepEqual(result.removed, []);
+  assert.deepEqual((await listSnapshots(wrapper)).map(({ id }) => id), ['v2', 'v1']);
+});
+
+test('rolls back by pointing the manifest at the snapshot', async () => {
+  const wrapper = memoryWrapper({ ...DATASET, [MANIFEST_KEY]: manifest('v1') });
+  await createSnapshot(wrapper, manifest('v1'));
+  wrapper.values.set(MANIFEST_KEY, manifest('v2'));
+
+  const written = await rollbackToSnapshot(wrapper, 'v1');
+
+  assert.deepEqual(wrapper.values.get(MANIFEST_KEY), written);
+  assert.equal(dataKeyPrefix(written), snapshotKeyPrefix('v1'));
+  assert.equal(written.version, 'v1');
+  assert.ok(isRolledBack(written));
+  assert.deepEqual(
+    { snapshot: written.rollback.snapshot, syncedAt: written.rollback.syncedAt, previousVersion: written.rollback.previousVersion },
+    { snapshot: 'v1', syncedAt: manifest('v1').timestamp, previousVersion: 'v2' }
+  );
+});
+
+test('refuses to roll back to an unknown or incomplete snapshot', async () => {
+  const wrapper = memoryWrapper(DATASET);
+  await createSnapshot(wrapper, manifest('v1'));
+  wrapper.values.delete(`${snapshotKeyPrefix('v1')}SPLITIO.splits.till`);
+
+  await assert.rejects(rollbackToSnapshot(wrapper, 'v9'), /Unknown snapshot v9/);
+  await assert.rejects(rollbackToSnapshot(wrapper, 'v1'), /Snapshot v1 is incomplete: found 2 of 3 keys/);
+  assert.equal(wrapper.values.get(MANIFEST_KEY), undefined);
+});
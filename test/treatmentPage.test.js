@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTreatmentPage } from '../src/treatmentPage.js';
+
+const MARKUP = '</code><script>alert(1)</script>';
+
+function render(overrides = {}) {
+  return renderTreatmentPage({
+    key: 'user-123',
+    featureFlagName: 'my-feature-flag',
+    result: { treatment: 'on', config: null },
+    attributes: {},
+    ...overrides
+  });
+}
+
+test('escapes markup in attributes', () => {
+  const html = render({ attributes: { x: MARKUP } });
+  assert.ok(!html.includes('<script>'));
+  assert.ok(html.includes('&lt;/code&gt;&lt;script&gt;alert(1)&lt;/script&gt;'));
+});
+
+test('escapes markup in the key, feature flag, treatment and config', () => {
+  const html = render({
+    key: MARKUP,
+    featureFlagName: MARKUP,
+    result: { treatment: MARKUP, config: { label: MARKUP } }
+  });
+  assert.ok(!html.includes('<script>'));
+  assert.equal(html.split('&lt;script&gt;alert(1)&lt;/script&gt;').length - 1, 4);
+});
+
+test('renders the evaluation result', () => {
+  const html = render({ result: { treatment: 'on', config: { color: 'blue' } }, fromIdentityCookie: true });
+  assert.ok(html.includes('<div class="treatment">on</div>'));
+  assert.ok(html.includes('{&quot;color&quot;:&quot;blue&quot;}'));
+  assert.ok(html.includes('(from the identity cookie)'));
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { createWebhookHandler } from '../sync/webhook.js';
+
+const SECRET = 'test-secret';
+
+function request(body, secret = SECRET) {
+  const req = Readable.from(body === undefined ? [] : [Buffer.from(body)]);
+  req.url = '/webhook';
+  req.headers = { 'x-webhook-secret': secret };
+  return req;
+}
+
+function response() {
+  return {
+    headersSent: false,
+    status: null,
+    body: null,
+    writeHead(status) {
+      this.status = status;
+      this.headersSent = true;
+    },
+    end(body) {
+      this.body = body ? JSON.parse(body) : null;
+    }
+  };
+}
+
+async function post(body, secret) {
+  const syncs = [];
+  const handler = createWebhookHandler({ secret: SECRET, onSync: reason => syncs.push(reason), debounceMs: 0 });
+  const res = response();
+  await handler(request(body, secret), res);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  return { res, syncs };
+}
+
+test('accepts a change notification and schedules a sync', async () => {
+  const { res, syncs } = await post(JSON.stringify({ type: 'split', name: 'my-feature-flag' }));
+  assert.equal(res.status, 202);
+  assert.deepEqual(syncs, ['1 webhook']);
+});
+
+test('accepts an array of change notifications', async () => {
+  const { res, syncs } = await post(JSON.stringify([{ type: 'split', name: 'a' }, { type: 'segment', name: 'b' }]));
+  assert.equal(res.status, 202);
+  assert.equal(syncs.length, 1);
+});
+
+test('rejects arrays with non-object entries', async () => {
+  for (const body of ['[null]', '[1, "a"]', '[{"name": "a"}, []]']) {
+    const { res, syncs } = await post(body);
+    assert.equal(res.status, 400, body);
+    assert.equal(res.body.error, 'invalid_body');
+    assert.deepEqual(syncs, []);
+  }
+});
+
+test('rejects malformed JSON and non-object bodies', async () => {
+  for (const body of ['{', 'null', '42', '"change"']) {
+    const { res } = await post(body);
+    assert.equal(res.status, 400, body);
+  }
+});
+
+test('rejects an invalid secret', async () => {
+  const { res, syncs } = await post('{}', 'wrong');
+  assert.equal(res.status, 401);
+  assert.deepEqual(syncs, []);
+});